@@ -0,0 +1,483 @@
+// Noted as a library: the operations behind the CLI, for programs that drive Noted without shelling out.
+// They return plain data and throw the errors in functions/errors.js instead of printing;
+// progress messages go to the logger set with setLogger.
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import simpleGit from 'simple-git';
+import { fileURLToPath } from 'url';
+import { execSync } from 'child_process';
+import * as getters from './functions/getters.js';
+import * as validations from './functions/validations.js';
+import * as remotes from './functions/remoteHelpers.js';
+import * as config from './functions/config.js';
+import * as crypt from './functions/crypt.js';
+import * as notesHelper from './functions/notes.js';
+import * as templates from './functions/templates.js';
+import * as frontMatter from './functions/frontMatter.js';
+import * as search from './functions/search.js';
+import * as searchIndex from './functions/searchIndex.js';
+import * as tasks from './functions/tasks.js';
+import * as syncHelpers from './functions/sync.js';
+import { noteLinkId } from './functions/links.js';
+import { log } from './functions/output.js';
+import {
+    NotedError,
+    NotInRepositoryError,
+    NotFoundError,
+    AlreadyExistsError,
+    InvalidArgumentError,
+    GitError,
+} from './functions/errors.js';
+
+export { setLogger } from './functions/output.js';
+export * from './functions/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function requireNotedRoot(dir) {
+    const notedRoot = getters.getNotedRepoRoot(dir);
+    if (!notedRoot) {
+        throw new NotInRepositoryError(`'${dir}' is not inside a Noted repository.`);
+    }
+    return notedRoot;
+}
+
+function requireWorkspace(notedRoot, workspaceName) {
+    if (!getters.getSubmodules(notedRoot).some(workspacePath => path.basename(workspacePath) === workspaceName)) {
+        throw new NotFoundError(`Workspace '${workspaceName}' does not exist.`);
+    }
+}
+
+function validateRemote(remote) {
+    if (remote && remote !== 'new' && !validations.isValidRemote(remote)) {
+        throw new InvalidArgumentError(`Invalid remote '${remote}'. Use "new" to create a GitHub repository, or give a remote URL.`);
+    }
+}
+
+// Run a git step, turning its failures into GitErrors
+async function runGit(step) {
+    try {
+        return await step();
+    } catch (error) {
+        throw error instanceof NotedError ? error : new GitError(error.message, { cause: error });
+    }
+}
+
+// "gh auth login" is only run when someone is there to answer it
+function ensureGithubAuth(interactive) {
+    try {
+        execSync('gh auth status', { stdio: 'ignore' });
+    } catch (error) {
+        if (!interactive) {
+            throw new GitError('You are not authenticated with GitHub CLI. Run "gh auth login" or set GH_TOKEN first.');
+        }
+        log(chalk.yellow('⚠ You are not authenticated with GitHub CLI.'));
+        execSync('gh auth login', { stdio: 'inherit' });
+    }
+}
+
+// Create a GitHub repository for the given local one with the gh CLI and return its URL
+async function createGithubRemote(git, repoName, repoPath, push) {
+    try {
+        execSync(`gh repo create ${repoName} --private --source=. --remote=origin${push ? ' --push' : ''}`, { cwd: repoPath, stdio: 'ignore' });
+    } catch (error) {
+        throw new GitError(`Could not create GitHub repository ${repoName}.`, { cause: error });
+    }
+    const remoteUrl = (await git.getConfig('remote.origin.url')).value;
+    log(chalk.green(`✔ GitHub repository created: ${remoteUrl}`));
+    return remoteUrl;
+}
+
+// Create a Noted parent repository named `name` inside parentDir. `remote` is null for a local
+// repository, "new" to create a private GitHub repository, or the URL of an existing remote.
+export async function createNotedRepo(parentDir, { name = 'Noted', remote = null, interactive = false } = {}) {
+    validateRemote(remote);
+    const repoPath = path.resolve(parentDir, name); // Full path to the new repository
+
+    // Check if the directory already exists
+    if (fs.existsSync(repoPath)) {
+        throw new AlreadyExistsError(`Directory "${name}" already exists in this location.`);
+    }
+
+    // Create the directory
+    fs.mkdirSync(repoPath);
+    log(chalk.green('✔ Created directory: ') + chalk.blue(name));
+
+    // Initialize Git repository
+    const git = simpleGit(repoPath);
+    await runGit(() => git.init());
+    log(chalk.green(`✔ Initialized ${name} as a new Git repository.`));
+
+    // Initialize configuration content
+    const configContent = {
+        parent_type: remote ? 'remote' : 'local',
+        remote_type: null,
+        remote_url: null,
+        createdAt: new Date().toISOString(),
+    };
+
+    // Create a README.md file
+    const readmeContent = fs.readFileSync(path.join(__dirname, 'template/parent-readme.md'), 'utf-8');
+    fs.writeFileSync(path.join(repoPath, 'README.md'), readmeContent);
+    log(chalk.green('✔ Created README.md file.'));
+
+    // Create a .notedconfig file
+    config.writeNotedConfig(repoPath, configContent);
+    log(chalk.green('✔ Created .notedconfig file.'));
+
+    // Add and commit the initial files
+    await runGit(async () => {
+        await git.add(['README.md', '.notedconfig']);
+        await git.commit('Initial commit: Add README.md and .notedconfig');
+    });
+    log(chalk.green('✔ Initial commit: Added README.md and .notedconfig'));
+
+    // If repository is remote, set up the remote after initial commit
+    if (remote) {
+        if (remote === 'new') {
+            ensureGithubAuth(interactive);
+            configContent.remote_type = 'github';
+            configContent.remote_url = await createGithubRemote(git, name, repoPath, false);
+        } else {
+            await runGit(() => git.addRemote('origin', remote));
+            log(chalk.green(`✔ Added remote URL: ${remote}`));
+            configContent.remote_type = 'url';
+            configContent.remote_url = remote;
+        }
+
+        // Update .notedconfig file with remote info and push the initial commits
+        config.writeNotedConfig(repoPath, configContent);
+        await runGit(async () => {
+            await git.add('.notedconfig');
+            await git.commit('Update .notedconfig with remote info');
+            await git.push('origin', 'main');
+        });
+        log(chalk.green('✔ Pushed initial commit to remote repository.'));
+    }
+
+    return { name, path: repoPath, remoteUrl: configContent.remote_url };
+}
+
+// Add a workspace (a git repository added as a submodule) to the Noted repository around dir.
+// `remote` works as in createNotedRepo; a passphrase makes the workspace encrypted.
+export async function addWorkspace(dir, { name = 'untitled-workspace', remote = null, passphrase = null, interactive = false } = {}) {
+    validateRemote(remote);
+    const notedRoot = requireNotedRoot(dir);
+    const workspacePath = path.join(notedRoot, name);
+    if (fs.existsSync(workspacePath)) {
+        throw new AlreadyExistsError(`Workspace '${name}' already exists.`);
+    }
+
+    // Create workspace directory
+    fs.mkdirSync(workspacePath);
+    log(chalk.green('✔ Created workspace directory: ') + chalk.blue(name));
+
+    // Initialize Git repository
+    const git = simpleGit(workspacePath);
+    await runGit(() => git.init());
+    log(chalk.green('✔ Initialized Git repository for workspace: ') + name);
+
+    // Create README.md and commit initial files
+    fs.writeFileSync(path.join(workspacePath, 'README.md'), `# ${name}`);
+    log(chalk.green(`✔ Created README.md in workspace: ${name}`));
+
+    // Set up encryption before the first commit so no note is ever committed in clear
+    const initialFiles = ['README.md'];
+    if (passphrase) {
+        await crypt.initWorkspaceEncryption(workspacePath, passphrase);
+        initialFiles.push('.gitattributes', '.noted/crypt.json');
+        log(chalk.green(`✔ Enabled encryption for workspace: ${name}`));
+    }
+
+    await runGit(async () => {
+        await git.add(initialFiles);
+        await git.commit(`Initial commit: Add README.md to ${name}`);
+    });
+    log(chalk.green(`✔ Initial commit in workspace: ${name}`));
+
+    // Handle remote setup if applicable
+    let remoteUrl = null;
+    if (remote === 'new') {
+        ensureGithubAuth(interactive);
+        remoteUrl = await createGithubRemote(git, name, workspacePath, true);
+    } else if (remote) {
+        await runGit(() => git.addRemote('origin', remote));
+        log(chalk.green(`✔ Added remote URL: ${remote}`));
+        remoteUrl = remote;
+    }
+
+    // Record encrypted workspaces in .notedconfig
+    if (passphrase) {
+        const notedConfig = config.readNotedConfig(notedRoot);
+        notedConfig.encrypted_workspaces = [...new Set([...(notedConfig.encrypted_workspaces || []), name])];
+        config.writeNotedConfig(notedRoot, notedConfig);
+    }
+
+    // Add the workspace as a submodule to the parent repository, from its remote when it has one
+    await runGit(() => simpleGit(notedRoot).raw(['submodule', 'add', remoteUrl || workspacePath, name]));
+    log(chalk.green(`✔ Added ${remoteUrl ? 'remote' : 'local'} workspace as submodule: ${name}`));
+
+    // Commit the addition of the submodule in the parent repository
+    await remotes.commitAll(notedRoot, `Add workspace: ${name}`);
+
+    return { name, path: workspacePath, remoteUrl, encrypted: Boolean(passphrase) };
+}
+
+// The workspaces of the Noted repository around dir, with the commit the parent records for each.
+// With archived, the workspaces put away with "noted workspace archive" instead.
+export async function listWorkspaces(dir, { archived = false } = {}) {
+    const notedRoot = requireNotedRoot(dir);
+    const archivedNames = getters.getArchivedWorkspaces(notedRoot);
+
+    if (archived) {
+        const archivedInfo = config.readNotedConfig(notedRoot).archived_workspaces;
+        return archivedNames.map(name => ({ name, archivedAt: archivedInfo[name].archivedAt }));
+    }
+
+    // "git submodule status" marks uninitialized workspaces with -, moved ones with + and conflicts with U
+    const states = { '-': 'uninitialized', '+': 'modified', U: 'conflicted' };
+    const submodules = await runGit(() => simpleGit(notedRoot).raw(['submodule', 'status']));
+    return submodules.split('\n')
+        .filter(line => line.trim())
+        .map((line) => {
+            const [, state, commit, name, ref] = line.match(/^(.)(\S+) (\S+)(?: \((.*)\))?/);
+            return { name, path: path.join(notedRoot, name), commit, ref: ref || null, state: states[state] || 'current' };
+        })
+        .filter(workspace => !archivedNames.includes(workspace.name));
+}
+
+// Create a note in dir, a folder inside a workspace, and commit it unless it stays untracked.
+// The name gets a number appended when a note with it already exists.
+export async function addNote(dir, name = 'untitled-note', { template = null, tags = [], status, untracked = false } = {}) {
+    requireNotedRoot(dir);
+    if (validations.isMainNotedRepo(dir)) {
+        throw new InvalidArgumentError('Notes cannot be created in the main Noted repository.');
+    }
+
+    // Resolve the template before creating anything
+    let resolvedTemplate = null;
+    if (template) {
+        resolvedTemplate = templates.resolveTemplate(template, dir);
+        if (!resolvedTemplate) {
+            throw new NotFoundError(`Template '${template}' does not exist. Run "noted template list" to see the available templates.`);
+        }
+    }
+
+    const created = await notesHelper.createNote(dir, name, { template: resolvedTemplate, tags, status, untracked });
+
+    // Keep the search index current
+    await searchIndex.refreshIndexFor(dir);
+    return { ...created, untracked };
+}
+
+// Delete a note (given with or without .md) from dir and commit the deletion
+export async function deleteNote(dir, note) {
+    const notePath = notesHelper.resolveNotePath(dir, note);
+    if (!fs.existsSync(notePath)) {
+        throw new NotFoundError(`Note '${note}' does not exist.`);
+    }
+    const name = path.basename(notePath, '.md');
+
+    fs.rmSync(notePath);
+    log(chalk.green(`✔ Deleted note: ${name}`));
+    await remotes.commitAll(dir, `Delete note: ${note}`);
+
+    // Keep the search index current
+    await searchIndex.refreshIndexFor(dir);
+    return { name, path: notePath };
+}
+
+// The notes in dir with their front matter, optionally filtered by tag and status.
+// Sorted by name, or by "updated" with the most recent first.
+export function listNotes(dir, { tag, status, sort = 'name' } = {}) {
+    if (!['name', 'updated'].includes(sort)) {
+        throw new InvalidArgumentError(`Unknown sort field '${sort}'. Use "name" or "updated".`);
+    }
+
+    let notes = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(item => item.isFile() && item.name.endsWith('.md'))
+        .map((item) => {
+            const notePath = path.join(dir, item.name);
+            let metadata = {};
+            try {
+                metadata = frontMatter.readMetadata(notePath);
+            } catch (error) {
+                log(chalk.yellow(`⚠ Skipping metadata of '${item.name}': ${error.message}`));
+            }
+            // Notes without front matter fall back to the file's modification time
+            const updated = metadata.updated ? new Date(metadata.updated) : fs.statSync(notePath).mtime;
+            return { name: item.name.replace('.md', ''), path: notePath, metadata, updated };
+        });
+
+    // Apply the metadata filters
+    if (tag) {
+        const normalized = frontMatter.normalizeTag(tag);
+        notes = notes.filter(note => (note.metadata.tags || []).includes(normalized));
+    }
+    if (status) {
+        notes = notes.filter(note => note.metadata.status === status);
+    }
+
+    if (sort === 'updated') {
+        notes.sort((a, b) => b.updated - a.updated);
+    } else {
+        notes.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return notes;
+}
+
+// Search the content of the notes of every workspace (or one workspace, or one folder of it).
+// Returns the matching notes, best first, each with its matching lines.
+export async function searchNotes(dir, query, { regex = false, caseSensitive = false, workspace = null, folder = null, useIndex = true } = {}) {
+    const notedRoot = requireNotedRoot(dir);
+    if (workspace) {
+        requireWorkspace(notedRoot, workspace);
+    }
+
+    let matcher;
+    try {
+        matcher = search.buildMatcher(query, { regex, caseSensitive });
+    } catch (error) {
+        throw new InvalidArgumentError(error.message, { cause: error });
+    }
+
+    let notes = notesHelper.collectAllNotes(notedRoot, workspace);
+    if (folder) {
+        const normalized = path.normalize(folder).replace(/\/+$/, '');
+        notes = notes.filter(note => note.folder === normalized || note.folder.startsWith(`${normalized}${path.sep}`));
+    }
+
+    // Narrow the notes down with the search index; regex queries always scan every note
+    if (useIndex && !regex) {
+        const { index } = await searchIndex.refreshIndex(notedRoot, { workspaces: workspace ? [workspace] : null });
+        const candidates = searchIndex.findCandidates(index, query);
+        if (candidates) {
+            // Workspaces left out of the index (encrypted ones) are always scanned
+            notes = notes.filter(note => !index.workspaces[note.workspace]
+                || candidates.has(`${note.workspace}/${note.relativePath.split(path.sep).join('/')}`));
+        }
+    }
+
+    return search.searchNotes(notes, matcher);
+}
+
+// The checkbox tasks of every workspace (or one), most urgent first. Completed tasks are left out unless all is set;
+// due is one of today, tomorrow, week, overdue or a YYYY-MM-DD date.
+export function listTasks(dir, { workspace = null, tag = null, due = null, all = false } = {}) {
+    const notedRoot = requireNotedRoot(dir);
+    if (workspace) {
+        requireWorkspace(notedRoot, workspace);
+    }
+
+    let found = tasks.collectTasks(notesHelper.collectAllNotes(notedRoot, workspace));
+    if (!all) {
+        found = found.filter(task => !task.done);
+    }
+    if (tag) {
+        // A task matches its own #tags, or the tags of its note
+        const normalized = frontMatter.normalizeTag(tag).toLowerCase();
+        const taggedNotes = new Set();
+        for (const task of found) {
+            try {
+                if ((frontMatter.readMetadata(task.note.path).tags || []).some(noteTag => noteTag.toLowerCase() === normalized)) {
+                    taggedNotes.add(task.note.path);
+                }
+            } catch (error) {
+                // Notes with broken front matter only match on task tags
+            }
+        }
+        found = found.filter(task => task.tags.includes(normalized) || taggedNotes.has(task.note.path));
+    }
+    if (due) {
+        const limit = tasks.getDueLimit(due);
+        found = found.filter(task => task.due && task.due <= limit);
+    }
+
+    return found.sort(tasks.compareTasks);
+}
+
+// Tick a task (by its id, or an unambiguous prefix of it) and commit the change.
+// completed is false when the task was already done.
+export async function completeTask(dir, id) {
+    const notedRoot = requireNotedRoot(dir);
+    const task = tasks.findTask(tasks.collectTasks(notesHelper.collectAllNotes(notedRoot)), id);
+    if (task.done) {
+        return { task, completed: false };
+    }
+
+    tasks.completeTask(task);
+    log(chalk.green(`✔ Completed task: ${task.text} (${noteLinkId(task.note)}:${task.lineNumber})`));
+
+    await remotes.commitAll(path.dirname(task.note.path), `Complete task: ${task.text} (${noteLinkId(task.note)})`);
+    await searchIndex.refreshIndexFor(task.note.path);
+    return { task: { ...task, done: true }, completed: true };
+}
+
+// Commit, pull (rebase, or merge) and push the given workspaces (default: all) and then the parent repository.
+// Conflicts are resolved with prompts when interactive; otherwise that repository's sync is aborted and
+// listed in "aborted", leaving it as it was.
+export async function sync(dir, { workspaces = null, merge = false, push = true, interactive = false } = {}) {
+    const notedRoot = requireNotedRoot(dir);
+    (workspaces || []).forEach(workspaceName => requireWorkspace(notedRoot, workspaceName));
+    const workspacePaths = workspaces
+        ? workspaces.map(workspaceName => path.join(notedRoot, workspaceName))
+        : getters.getSubmodules(notedRoot).filter(workspacePath => fs.existsSync(workspacePath));
+
+    const result = { workspaces: [], parent: null, checkedOut: [], aborted: [] };
+    await runGit(async () => {
+        for (const workspacePath of workspacePaths) {
+            const workspaceName = path.basename(workspacePath);
+            log(chalk.blue(`Syncing workspace: ${workspaceName}`));
+
+            // Commit local edits first so they can be rebased or merged
+            if (!(await simpleGit(workspacePath).status()).isClean()) {
+                await remotes.commitAll(workspacePath, `Sync workspace: ${workspaceName}`);
+            }
+
+            const pulled = await syncHelpers.pullRepository(workspacePath, { merge, interactive });
+            result.workspaces.push({ name: workspaceName, result: pulled });
+            if (pulled === 'aborted') {
+                result.aborted.push(workspaceName);
+                continue;
+            }
+            if (push) {
+                await syncHelpers.pushRepository(workspacePath);
+            }
+        }
+
+        log(chalk.blue('Syncing parent repository'));
+        const parentGit = simpleGit(notedRoot);
+        if (!(await parentGit.status()).isClean()) {
+            await remotes.commitAll(notedRoot, 'Sync: update workspaces');
+        }
+
+        result.parent = await syncHelpers.pullRepository(notedRoot, { merge, isParent: true, interactive });
+        if (result.parent === 'aborted') {
+            result.aborted.push('parent repository');
+            return;
+        }
+
+        // Check out workspaces that were added on another machine
+        const missing = getters.getSubmodules(notedRoot).filter(workspacePath => !fs.existsSync(path.join(workspacePath, '.git')));
+        for (const workspacePath of missing) {
+            await parentGit.raw(['submodule', 'update', '--init', '--', path.basename(workspacePath)]);
+            await syncHelpers.ensureBranch(simpleGit(workspacePath), workspacePath);
+            result.checkedOut.push(path.basename(workspacePath));
+            log(chalk.green(`✔ Checked out new workspace: ${path.basename(workspacePath)}`));
+        }
+
+        // Point the parent at the commits the workspaces now have checked out
+        if (!(await parentGit.status()).isClean()) {
+            await remotes.commitAll(notedRoot, 'Update workspaces to synced commits');
+        }
+        if (push) {
+            await syncHelpers.pushRepository(notedRoot);
+        }
+    });
+
+    // Keep the search index current
+    await searchIndex.refreshIndexFor(notedRoot);
+    return result;
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import simpleGit from 'simple-git';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as validations from '../functions/validations.js';
+import * as sync from '../functions/sync.js';
+import * as crypt from '../functions/crypt.js';
+import * as registry from '../functions/registry.js';
+import * as output from '../functions/output.js';
+
+export default function cloneCommand(program) {
+    program
+        .command('clone <url> [directory]')
+        .description('Clone an existing Noted repository and check out its workspaces')
+        .option('-o, --only <workspaces>', 'Only check out the given workspaces (comma-separated)')
+        .addHelpText('after', `
+Examples:
+    $ noted clone https://github.com/username/Noted.git
+    $ noted clone git@github.com:username/Noted.git MyNotes
+    $ noted clone https://github.com/username/Noted.git --only Work,School
+`)
+        .action(async (url, directory, options) => {
+            const repoPath = path.resolve(process.cwd(), directory || path.basename(url).replace(/\.git$/, '') || 'Noted');
+            try {
+                if (fs.existsSync(repoPath)) {
+                    output.error(chalk.red('✖ Error: ') + `Directory "${path.basename(repoPath)}" already exists in this location.`);
+                    return;
+                }
+
+                // Clone the parent repository
+                await simpleGit().clone(url, repoPath);
+                console.log(chalk.green(`✔ Cloned parent repository into ${repoPath}`));
+
+                // Make sure this really is a Noted repository
+                if (!validations.isMainNotedRepo(repoPath)) {
+                    throw new Error('The repository has no .notedconfig file. Is this a Noted repository?');
+                }
+                try {
+                    JSON.parse(fs.readFileSync(path.join(repoPath, '.notedconfig'), 'utf8'));
+                } catch (error) {
+                    throw new Error(`The repository's .notedconfig file is malformed: ${error.message}`);
+                }
+                console.log(chalk.green('✔ Found .notedconfig'));
+
+                const parentGit = simpleGit(repoPath);
+                const workspaces = getters.getSubmodules(repoPath).map(workspacePath => path.basename(workspacePath));
+                const only = options.only ? options.only.split(',').map(name => name.trim()).filter(Boolean) : null;
+
+                if (only) {
+                    const unknown = only.filter(name => !workspaces.includes(name));
+                    if (unknown.length > 0) {
+                        console.log(chalk.yellow(`⚠ Unknown workspace(s): ${unknown.join(', ')}`));
+                    }
+                }
+
+                const selected = only ? workspaces.filter(name => only.includes(name)) : workspaces;
+                if (selected.length === 0) {
+                    console.log(chalk.yellow('⚠ No workspaces to check out.'));
+                }
+
+                // Initialize and check out each workspace on a real branch instead of a detached HEAD
+                const failed = [];
+                for (const workspaceName of selected) {
+                    try {
+                        await parentGit.raw(['submodule', 'update', '--init', '--', workspaceName]);
+                        const branch = await sync.attachBranch(path.join(repoPath, workspaceName));
+                        console.log(chalk.green(`✔ Checked out workspace: ${workspaceName} (${branch})`));
+                        if (crypt.isEncryptedWorkspace(path.join(repoPath, workspaceName))) {
+                            console.log(chalk.yellow(`⚠ Workspace "${workspaceName}" is encrypted. Run "noted crypt unlock ${workspaceName}" to read its notes.`));
+                        }
+                    } catch (error) {
+                        failed.push(workspaceName);
+                        output.error(chalk.red(`✖ Error checking out workspace ${workspaceName}: `) + error.message);
+                    }
+                }
+
+                const skipped = workspaces.filter(name => !selected.includes(name));
+                if (skipped.length > 0) {
+                    console.log(chalk.yellow(`⚠ Skipped workspace(s): ${skipped.join(', ')}. Check them out later with "git submodule update --init <name>".`));
+                }
+                if (failed.length > 0) {
+                    console.log(chalk.yellow(`⚠ Could not check out: ${failed.join(', ')}`));
+                }
+
+                registry.registerNewRoot(repoPath);
+                console.log(chalk.green('✔ Clone complete.'));
+            } catch (error) {
+                output.error(chalk.red('✖ Error cloning repository: ') + error.message);
+                // Do not leave a half-cloned repository behind
+                fs.rmSync(repoPath, { recursive: true, force: true });
+            }
+        });
+}
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as config from '../functions/config.js';
+import * as crypt from '../functions/crypt.js';
+import * as output from '../functions/output.js';
+
+export default function cryptCommand(program) {
+    const cryptCmd = program.command('crypt').description('Lock, unlock and inspect encrypted workspaces');
+
+    // Lock command
+    cryptCmd
+        .command('lock [workspace]')
+        .description('Forget the key and leave only encrypted notes on disk (all encrypted workspaces from the Noted root)')
+        .action(async (workspaceName) => {
+            try {
+                const workspaces = resolveWorkspaces(workspaceName);
+                for (const workspacePath of workspaces) {
+                    const name = path.basename(workspacePath);
+                    if (!(await crypt.isUnlocked(workspacePath))) {
+                        console.log(chalk.yellow(`⚠ Workspace "${name}" is already locked.`));
+                        continue;
+                    }
+                    const count = await crypt.lockWorkspace(workspacePath);
+                    console.log(chalk.green(`✔ Locked workspace "${name}" (${count} file(s) encrypted on disk).`));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error locking workspace: ') + error.message);
+            }
+        });
+
+    // Unlock command
+    cryptCmd
+        .command('unlock [workspace]')
+        .description('Decrypt the notes of an encrypted workspace (all encrypted workspaces from the Noted root)')
+        .action(async (workspaceName) => {
+            try {
+                const workspaces = resolveWorkspaces(workspaceName);
+                for (const workspacePath of workspaces) {
+                    const name = path.basename(workspacePath);
+                    if (await crypt.isUnlocked(workspacePath)) {
+                        console.log(chalk.yellow(`⚠ Workspace "${name}" is already unlocked.`));
+                        continue;
+                    }
+                    const passphrase = await getters.getPassphrase(name);
+                    const count = await crypt.unlockWorkspace(workspacePath, passphrase);
+                    console.log(chalk.green(`✔ Unlocked workspace "${name}" (${count} file(s) decrypted).`));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error unlocking workspace: ') + error.message);
+            }
+        });
+
+    // Status command
+    cryptCmd
+        .command('status')
+        .description('Show which workspaces are encrypted and whether they are locked')
+        .action(async () => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const encrypted = config.readNotedConfig(notedRoot).encrypted_workspaces || [];
+                const workspaces = getters.getSubmodules(notedRoot);
+                let found = false;
+
+                for (const workspacePath of workspaces) {
+                    const name = path.basename(workspacePath);
+                    const hasCrypt = fs.existsSync(workspacePath) && crypt.isEncryptedWorkspace(workspacePath);
+                    if (!hasCrypt && !encrypted.includes(name)) {
+                        continue;
+                    }
+                    found = true;
+
+                    if (!hasCrypt) {
+                        console.log(chalk.red(`✖ ${name}: listed as encrypted in .notedconfig but has no encryption settings`));
+                    } else if (await crypt.isUnlocked(workspacePath)) {
+                        console.log(chalk.yellow(`🔓 ${name}: unlocked`));
+                    } else {
+                        console.log(chalk.green(`🔒 ${name}: locked`));
+                    }
+                    if (hasCrypt && !encrypted.includes(name)) {
+                        console.log(chalk.yellow(`   ⚠ ${name} is encrypted but missing from .notedconfig`));
+                    }
+                }
+
+                if (!found) {
+                    console.log(chalk.yellow('No encrypted workspaces. Create one with "noted workspace add --encrypted".'));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error reading encryption status: ') + error.message);
+            }
+        });
+
+    // Per-file git filter, still run by workspaces configured before crypt-filter.js until they are unlocked again
+    cryptCmd
+        .command('filter <mode> [file]', { hidden: true })
+        .description('Git clean/smudge/textconv filter for encrypted workspaces')
+        .action(async (mode, file) => {
+            try {
+                const chunks = [];
+                if (mode !== 'textconv') {
+                    for await (const chunk of process.stdin) {
+                        chunks.push(chunk);
+                    }
+                }
+                process.stdout.write(await crypt.runFilter(mode, Buffer.concat(chunks), file));
+            } catch (error) {
+                process.stderr.write(`noted: ${error.message}\n`);
+                process.exitCode = 1;
+            }
+        });
+}
+
+// The named workspace, the current one, or every encrypted workspace when run from the Noted root
+function resolveWorkspaces(workspaceName) {
+    const currentDir = process.cwd();
+    const notedRoot = getters.getNotedRepoRoot(currentDir);
+    if (!notedRoot) {
+        throw new Error('Noted repository root not found. Run this command inside a Noted repository.');
+    }
+
+    let workspaces;
+    if (workspaceName) {
+        workspaces = [path.join(notedRoot, workspaceName)];
+    } else if (getters.getWorkspacePath(currentDir)) {
+        workspaces = [getters.getWorkspacePath(currentDir)];
+    } else {
+        workspaces = getters.getSubmodules(notedRoot).filter(workspacePath => fs.existsSync(workspacePath) && crypt.isEncryptedWorkspace(workspacePath));
+        if (workspaces.length === 0) {
+            throw new Error('No encrypted workspaces found.');
+        }
+    }
+
+    for (const workspacePath of workspaces) {
+        if (!fs.existsSync(workspacePath) || !crypt.isEncryptedWorkspace(workspacePath)) {
+            throw new Error(`Workspace "${path.basename(workspacePath)}" is not encrypted.`);
+        }
+    }
+    return workspaces;
+}
@@ -0,0 +1,84 @@
+import chalk from 'chalk';
+import * as doctor from '../functions/doctor.js';
+import { getDefaultRoot } from '../functions/registry.js';
+import * as output from '../functions/output.js';
+
+export default function doctorCommand(program) {
+    program
+        .command('doctor')
+        .description('Check the Noted repository and its workspaces for common problems, and repair them with --fix')
+        .option('--fix', 'Repair the problems that can be fixed safely')
+        .addHelpText('after', `
+Checks:
+    .notedconfig                 missing or malformed
+    Parent remote                origin does not match remote_url in .notedconfig
+    Workspaces and .gitmodules   workspaces on disk but not in .gitmodules, or the reverse
+    Workspace branches           workspaces left on a detached HEAD
+    .gitkeep files               .gitkeep files left in folders that are no longer empty
+    Pushed workspace commits     the parent records workspace commits that were never pushed
+
+Examples:
+    $ noted doctor
+    $ noted doctor --fix
+`)
+        .action(async (options) => {
+            try {
+                // Look for the parent repository itself, since its .notedconfig may be what is broken
+                const notedRoot = await doctor.findRepositoryRoot(process.cwd()) || getDefaultRoot();
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+                console.log(chalk.blue(`Checking ${notedRoot}`));
+
+                let remaining = 0;
+                let fixed = 0;
+                const results = [];
+                for (const check of doctor.CHECKS) {
+                    const issues = await check.run(notedRoot);
+                    if (issues.length === 0) {
+                        console.log(chalk.green(`✔ ${check.label}`));
+                        continue;
+                    }
+
+                    console.log(chalk.yellow(`⚠ ${check.label}`));
+                    for (const issue of issues) {
+                        const result = { check: issue.check, message: issue.message, fixable: Boolean(issue.fix), fixed: false };
+                        results.push(result);
+                        console.log(chalk.yellow(`  - ${issue.message}`));
+                        if (!issue.fix) {
+                            console.log(chalk.gray(`    ${issue.hint || 'This needs to be fixed by hand.'}`));
+                            remaining++;
+                            continue;
+                        }
+                        if (!options.fix) {
+                            remaining++;
+                            continue;
+                        }
+                        try {
+                            console.log(chalk.green(`    ✔ ${await issue.fix()}`));
+                            result.fixed = true;
+                            fixed++;
+                        } catch (error) {
+                            // Counted as a remaining problem below, so doctor still exits with PROBLEMS_FOUND
+                            console.error(chalk.red('    ✖ Error fixing it: ') + error.message);
+                            remaining++;
+                        }
+                    }
+                }
+
+                output.setResult({ root: notedRoot, issues: results, fixed, remaining });
+                if (fixed > 0) {
+                    console.log(chalk.green(`✔ Fixed ${fixed} problem(s).`));
+                }
+                if (remaining === 0) {
+                    console.log(chalk.green('✔ No problems left.'));
+                    return;
+                }
+                console.log(chalk.yellow(`⚠ ${remaining} problem(s) remaining.${options.fix ? '' : ' Run "noted doctor --fix" to repair what can be fixed safely.'}`));
+                output.fail(output.EXIT_CODES.PROBLEMS_FOUND);
+            } catch (error) {
+                output.error(chalk.red('✖ Error checking repository: ') + error.message);
+            }
+        });
+}
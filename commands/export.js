@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as notes from '../functions/notes.js';
+import * as crypt from '../functions/crypt.js';
+import * as exporter from '../functions/exportHtml.js';
+import * as output from '../functions/output.js';
+
+export default function exportCommand(program) {
+    const exportCmd = program.command('export').description('Export notes to other formats');
+
+    // Export HTML command
+    exportCmd
+        .command('html')
+        .description('Render notes to a static HTML site with navigation, an index page and client-side search')
+        .requiredOption('-o, --out <dir>', 'Folder to write the site to')
+        .option('-w, --workspace <workspace>', 'Only export a single workspace')
+        .option('--include-encrypted', 'Also export unlocked encrypted workspaces (their notes are written in clear)')
+        .addHelpText('after', `
+Examples:
+    $ noted export html --out ~/notes-site
+    $ noted export html --workspace Work --out ./work-site
+`)
+        .action(async (options) => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                let workspaces = getters.getSubmodules(notedRoot).filter(workspacePath => fs.existsSync(workspacePath));
+                if (options.workspace) {
+                    workspaces = workspaces.filter(workspacePath => path.basename(workspacePath) === options.workspace);
+                    if (workspaces.length === 0) {
+                        output.error(chalk.red(`✖ Error: Workspace '${options.workspace}' does not exist.`));
+                        return;
+                    }
+                }
+
+                const exported = [];
+                for (const workspacePath of workspaces) {
+                    const name = path.basename(workspacePath);
+                    if (crypt.isEncryptedWorkspace(workspacePath)) {
+                        if (!options.includeEncrypted) {
+                            console.log(chalk.yellow(`⚠ Skipping encrypted workspace "${name}" (use --include-encrypted to export it).`));
+                            continue;
+                        }
+                        if (!(await crypt.isUnlocked(workspacePath))) {
+                            console.log(chalk.yellow(`⚠ Skipping encrypted workspace "${name}" because it is locked.`));
+                            continue;
+                        }
+                    }
+                    exported.push(...notes.collectNotes(workspacePath));
+                }
+
+                const outDir = path.resolve(getters.getInvocationDir(), options.out);
+                if (outDir === notedRoot || outDir.startsWith(`${notedRoot}${path.sep}`)) {
+                    console.log(chalk.yellow('⚠ The output folder is inside the Noted repository; the exported pages may end up committed.'));
+                }
+
+                const result = exporter.exportHtml(exported, outDir, { siteName: path.basename(notedRoot) });
+                console.log(chalk.green(`✔ Exported ${result.pages} note(s) from ${result.workspaces.length} workspace(s) to ${outDir}`));
+                console.log(chalk.green(`✔ Open ${path.join(outDir, 'index.html')} in a browser to view them.`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error exporting notes: ') + error.message);
+            }
+        });
+}
@@ -4,6 +4,10 @@ import chalk from 'chalk';
 import * as getters from '../functions/getters.js';
 import * as validations from '../functions/validations.js';
 import * as remotes from '../functions/remoteHelpers.js';
+import * as searchIndex from '../functions/searchIndex.js';
+import * as links from '../functions/links.js';
+import * as move from '../functions/move.js';
+import * as output from '../functions/output.js';
 
 export default function foldersCommand(program) {
     const folder = program.command('folder').description('Manage folders within the workspace');
@@ -17,7 +21,7 @@ export default function foldersCommand(program) {
             try {
                 const currentDir = process.cwd();  // Current directory
                 if (validations.isMainNotedRepo(currentDir)) {
-                    console.error(chalk.red('✖ Error: Folders cannot be created in the main Noted repository.'));
+                    output.error(chalk.red('✖ Error: Folders cannot be created in the main Noted repository.'));
                     return;
                 }
 
@@ -52,7 +56,7 @@ export default function foldersCommand(program) {
                 }
 
             } catch (error) {
-                console.error(chalk.red('✖ Error adding folder: ') + error.message);
+                output.error(chalk.red('✖ Error adding folder: ') + error.message);
             }
         });
 
@@ -60,13 +64,24 @@ export default function foldersCommand(program) {
     folder
         .command('delete <name>')
         .description('Delete a folder inside the workspace')
-        .action(async (folderName) => {
+        .option('-y, --yes', 'Delete without asking for confirmation')
+        .action(async (folderName, options) => {
             try {
                 const parentRepoPath = process.cwd();
                 const folderPath = path.join(parentRepoPath, folderName);
 
                 if (!fs.existsSync(folderPath)) {
-                    console.error(chalk.red(`✖ Error: Folder '${folderName}' does not exist.`));
+                    output.error(chalk.red(`✖ Error: Folder '${folderName}' does not exist.`));
+                    return;
+                }
+
+                // Warn about links that will break
+                links.warnIncomingLinks(parentRepoPath, [folderPath]);
+
+                // Ask before deleting; tracked folders can be recovered with "noted trash"
+                const confirmed = await getters.getConfirmation(options, `Delete folder '${folderName}' and everything in it?`);
+                if (!confirmed) {
+                    console.log(chalk.yellow('⚠ Deletion cancelled.'));
                     return;
                 }
 
@@ -77,8 +92,55 @@ export default function foldersCommand(program) {
                 // Commit the deletion
                 await remotes.commitChanges(parentRepoPath, `Delete folder: ${folderName}`);
 
+                // Keep the search index current
+                await searchIndex.refreshIndexFor(parentRepoPath);
+
+            } catch (error) {
+                output.error(chalk.red('✖ Error deleting folder: ') + error.message);
+            }
+        });
+
+    // Move folder command
+    folder
+        .command('mv <source> <destination>')
+        .description('Move or rename a folder, keeping its history and updating links to its notes')
+        .addHelpText('after', `
+The destination is relative to the current folder, or "workspace:folder" to move the folder into another workspace.
+If the destination is an existing folder, the source folder is moved inside it.
+
+Examples:
+    $ noted folder mv meetings meetings-2026
+    $ noted folder mv meetings archive
+    $ noted folder mv meetings School:meetings
+`)
+        .action(async (source, destination) => {
+            try {
+                const currentDir = process.cwd();
+                const notedRoot = getters.getNotedRepoRoot(currentDir);
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const sourcePath = path.resolve(currentDir, source);
+                if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isDirectory()) {
+                    output.error(chalk.red(`✖ Error: Folder '${source}' does not exist.`));
+                    return;
+                }
+                if (getters.getWorkspacePath(sourcePath) === sourcePath) {
+                    output.error(chalk.red('✖ Error: Use "noted workspace" commands to manage workspaces.'));
+                    return;
+                }
+
+                let destPath = move.resolveDestination(destination, currentDir, notedRoot);
+                if (fs.existsSync(destPath) && fs.statSync(destPath).isDirectory()) {
+                    destPath = path.join(destPath, path.basename(sourcePath));
+                }
+
+                const { from, to } = await move.moveItem(sourcePath, destPath, 'folder');
+                console.log(chalk.green(`✔ Moved folder: ${from} -> ${to}`));
             } catch (error) {
-                console.error(chalk.red('✖ Error deleting folder: ') + error.message);
+                output.error(chalk.red('✖ Error moving folder: ') + error.message);
             }
         });
 
@@ -95,6 +157,7 @@ export default function foldersCommand(program) {
 
                 // Filter only directories and exclude hidden ones (those starting with a dot)
                 const folders = items.filter(item => item.isDirectory() && !item.name.startsWith('.'));
+                output.setResult(folders.map(folder => ({ name: folder.name, path: path.join(parentRepoPath, folder.name) })));
 
                 if (folders.length === 0) {
                     console.log(chalk.yellow('No folders found.'));
@@ -105,7 +168,7 @@ export default function foldersCommand(program) {
                 folders.forEach(folder => console.log(chalk.blue(folder.name)));
 
             } catch (error) {
-                console.error(chalk.red('✖ Error listing folders: ') + error.message);
+                output.error(chalk.red('✖ Error listing folders: ') + error.message);
             }
         });
 }
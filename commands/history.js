@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as remotes from '../functions/remoteHelpers.js';
+import * as searchIndex from '../functions/searchIndex.js';
+import * as history from '../functions/history.js';
+import * as output from '../functions/output.js';
+
+export default function historyCommand(program) {
+    // History command
+    program
+        .command('history <note>')
+        .description('List the commits that changed a note (date, author, message)')
+        .option('-n, --max-count <count>', 'Only show the most recent commits')
+        .action(async (noteArg, options) => {
+            try {
+                const note = history.locateNote(noteArg, process.cwd());
+                const entries = await history.getNoteHistory(note, options.maxCount ? parseInt(options.maxCount, 10) : null);
+                output.setResult(entries);
+
+                if (entries.length === 0) {
+                    console.log(chalk.yellow(`No history found for '${noteArg}'. Is the note tracked?`));
+                    return;
+                }
+
+                console.log(chalk.blue(`History of ${path.basename(note.workspacePath)}:${note.relativePath}`));
+                entries.forEach((entry) => {
+                    const date = new Date(entry.date).toISOString().slice(0, 16).replace('T', ' ');
+                    const renamed = entry.path !== note.relativePath ? chalk.gray(` (${entry.path})`) : '';
+                    console.log(`${chalk.yellow(entry.shortHash)} ${chalk.gray(date)} ${chalk.green(entry.author)} ${entry.message}${renamed}`);
+                });
+            } catch (error) {
+                output.error(chalk.red('✖ Error reading note history: ') + error.message);
+            }
+        });
+
+    // Diff command
+    program
+        .command('diff <note> [rev]')
+        .description('Show a word-level diff of a note against a revision or date (default: its last change)')
+        .addHelpText('after', `
+Examples:
+    $ noted diff standup              # uncommitted edits, or the last committed change
+    $ noted diff standup HEAD~3
+    $ noted diff standup 2026-10-01
+`)
+        .action(async (noteArg, rev) => {
+            try {
+                const note = history.locateNote(noteArg, process.cwd());
+                if (!fs.existsSync(note.path)) {
+                    output.error(chalk.red(`✖ Error: Note '${noteArg}' does not exist.`));
+                    return;
+                }
+
+                let output;
+                if (rev) {
+                    const commit = await history.resolveRevision(note, rev);
+                    console.log(chalk.blue(`Changes since ${commit.slice(0, 7)}:`));
+                    output = await history.diffNote(note, commit);
+                } else {
+                    const entries = await history.getNoteHistory(note, 2);
+                    if (entries.length === 0) {
+                        console.log(chalk.yellow(`No history found for '${noteArg}'. Is the note tracked?`));
+                        return;
+                    }
+
+                    // Prefer uncommitted edits; otherwise show what the last commit changed
+                    output = await history.diffNote(note, entries[0].hash);
+                    if (output.trim()) {
+                        console.log(chalk.blue('Uncommitted changes:'));
+                    } else if (entries.length > 1) {
+                        console.log(chalk.blue(`Last change: ${entries[0].shortHash} ${entries[0].message}`));
+                        output = await history.diffNote(note, entries[1].hash, entries[0].hash);
+                    }
+                }
+
+                if (!output.trim()) {
+                    console.log(chalk.yellow('No differences.'));
+                    return;
+                }
+                console.log(history.formatWordDiff(output));
+            } catch (error) {
+                output.error(chalk.red('✖ Error showing diff: ') + error.message);
+            }
+        });
+
+    // Restore command
+    program
+        .command('restore <note>')
+        .description('Bring back an older version of a note as a new commit')
+        .requiredOption('--at <rev|date>', 'The revision or date to restore')
+        .addHelpText('after', `
+Examples:
+    $ noted restore standup --at a1b2c3d
+    $ noted restore standup --at HEAD~2
+    $ noted restore standup --at "2026-10-01 18:00"
+`)
+        .action(async (noteArg, options) => {
+            try {
+                const note = history.locateNote(noteArg, process.cwd());
+                const commit = await history.resolveRevision(note, options.at);
+                const content = await history.getNoteAt(note, commit);
+
+                if (fs.existsSync(note.path) && fs.readFileSync(note.path, 'utf8') === content) {
+                    console.log(chalk.yellow(`⚠ Note '${note.name}' already matches ${commit.slice(0, 7)}. Nothing to restore.`));
+                    return;
+                }
+
+                fs.mkdirSync(path.dirname(note.path), { recursive: true });
+                fs.writeFileSync(note.path, content);
+                console.log(chalk.green(`✔ Restored note: ${note.name} to ${commit.slice(0, 7)}`));
+
+                await remotes.commitChanges(path.dirname(note.path), `Restore note: ${note.name} to ${commit.slice(0, 7)}`);
+
+                // Keep the search index current
+                await searchIndex.refreshIndexFor(note.workspacePath);
+            } catch (error) {
+                output.error(chalk.red('✖ Error restoring note: ') + error.message);
+            }
+        });
+}
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as remotes from '../functions/remoteHelpers.js';
+import * as crypt from '../functions/crypt.js';
+import * as importers from '../functions/importers.js';
+import * as searchIndex from '../functions/searchIndex.js';
+import * as output from '../functions/output.js';
+
+const SOURCE_LABELS = {
+    obsidian: 'Obsidian vault',
+    markdown: 'folder',
+    enex: 'Evernote export',
+};
+
+export default function importCommand(program) {
+    program
+        .command('import <source>')
+        .description('Import an Obsidian vault, a folder of .md/.txt files or an Evernote .enex export into a workspace')
+        .requiredOption('--into <workspace>', 'Workspace to import the notes into')
+        .option('-f, --folder <path>', 'Folder inside the workspace to import into (created if needed)')
+        .addHelpText('after', `
+Folder structure is kept, tags (front matter, inline #tags and Evernote tags) end up in the
+notes' front matter, and attachments are copied next to the notes. Existing files are never
+overwritten. Everything imported is committed at once.
+
+Examples:
+    $ noted import ~/Obsidian/MyVault --into Personal
+    $ noted import ~/old-notes --into Work --folder archive
+    $ noted import ~/Downloads/Recipes.enex --into Home
+`)
+        .action(async (source, options) => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const workspacePath = getters.getSubmodules(notedRoot).find(submodule => path.basename(submodule) === options.into);
+                if (!workspacePath || !fs.existsSync(workspacePath)) {
+                    output.error(chalk.red(`✖ Error: Workspace '${options.into}' does not exist.`));
+                    return;
+                }
+                if (crypt.isEncryptedWorkspace(workspacePath) && !(await crypt.isUnlocked(workspacePath))) {
+                    output.error(chalk.red(`✖ Error: Workspace '${options.into}' is locked. Run "noted crypt unlock ${options.into}" first.`));
+                    return;
+                }
+
+                const destDir = options.folder ? path.join(workspacePath, options.folder) : workspacePath;
+                if (path.relative(workspacePath, destDir).startsWith('..')) {
+                    output.error(chalk.red('✖ Error: The folder must be inside the workspace.'));
+                    return;
+                }
+
+                const sourcePath = path.resolve(getters.getInvocationDir(), source);
+                const { type, items } = importers.planImport(sourcePath);
+                if (!items.some(item => item.kind === 'note')) {
+                    console.log(chalk.yellow(`⚠ No notes found in ${SOURCE_LABELS[type]} '${sourcePath}'.`));
+                    return;
+                }
+
+                // An encrypted workspace must send every imported file through encryption, or nothing is written
+                if (crypt.isEncryptedWorkspace(workspacePath)) {
+                    const clear = crypt.findClearPaths(workspacePath, items.map(item => path.relative(workspacePath, path.join(destDir, item.relativePath))));
+                    if (clear.length > 0) {
+                        output.error(chalk.red(`✖ Error: Workspace '${options.into}' is encrypted, but its .gitattributes would store ${clear.length} imported file(s) in clear, e.g. '${clear[0]}'. `)
+                            + 'Encrypt every file with "* filter=noted-crypt diff=noted-crypt" in its .gitattributes, or import without those files.');
+                        return;
+                    }
+                }
+
+                const result = importers.writeImport(items, destDir);
+                result.skipped.forEach((relativePath) => {
+                    console.log(chalk.yellow(`⚠ Skipped ${relativePath}: a file with that name already exists.`));
+                });
+                if (result.notes + result.attachments === 0) {
+                    console.log(chalk.yellow('⚠ Nothing was imported.'));
+                    return;
+                }
+
+                console.log(chalk.green(`✔ Imported ${result.notes} note(s) and ${result.attachments} attachment(s) from ${SOURCE_LABELS[type]} '${path.basename(sourcePath)}'.`));
+                await remotes.commitChanges(destDir, `Import ${result.notes} note(s) from ${SOURCE_LABELS[type]} ${path.basename(sourcePath)}`);
+                await searchIndex.refreshIndexFor(destDir);
+            } catch (error) {
+                output.error(chalk.red('✖ Error importing notes: ') + error.message);
+            }
+        });
+}
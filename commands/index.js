@@ -0,0 +1,71 @@
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as searchIndex from '../functions/searchIndex.js';
+import * as output from '../functions/output.js';
+
+export default function indexCommand(program) {
+    const index = program.command('index').description('Manage the local search index used by "noted search"');
+
+    // Rebuild index command
+    index
+        .command('rebuild')
+        .description('Rebuild the search index from scratch for all workspaces')
+        .action(async () => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const { index: rebuilt, stats } = await searchIndex.refreshIndex(notedRoot, { rebuild: true });
+                console.log(chalk.green(`✔ Indexed ${stats.tokenized} note(s) in ${Object.keys(rebuilt.workspaces).length} workspace(s).`));
+                console.log(chalk.green(`✔ Search index written to ${searchIndex.getIndexDir(notedRoot)}`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error rebuilding search index: ') + error.message);
+            }
+        });
+
+    // Index status command
+    index
+        .command('status')
+        .description('Show which workspaces are indexed and whether the index is up to date')
+        .action(async () => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const status = await searchIndex.getIndexStatus(notedRoot);
+                output.setResult(status);
+                if (!status.exists) {
+                    console.log(chalk.yellow('⚠ No search index yet. It is built on the next "noted search", or run "noted index rebuild".'));
+                    return;
+                }
+
+                console.log(chalk.blue(`Search index: ${status.path}`));
+                console.log(`  Last updated: ${status.updatedAt}`);
+                console.log(`  Size: ${(status.size / 1024).toFixed(1)} KB, ${status.tokens} distinct word(s)`);
+
+                if (status.workspaces.length === 0) {
+                    console.log(chalk.yellow('No workspaces (submodules) found.'));
+                    return;
+                }
+
+                console.log(chalk.blue('Workspaces:'));
+                status.workspaces.forEach((workspace) => {
+                    const commit = workspace.commit ? workspace.commit.slice(0, 7) : '-------';
+                    const line = `  ${workspace.name}  ${commit}  ${workspace.files} note(s)  ${workspace.state}`;
+                    if (workspace.state === 'up to date') {
+                        console.log(chalk.green(line));
+                    } else {
+                        console.log(chalk.yellow(line));
+                    }
+                });
+            } catch (error) {
+                output.error(chalk.red('✖ Error reading search index status: ') + error.message);
+            }
+        });
+}
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as notesHelper from '../functions/notes.js';
+import * as templates from '../functions/templates.js';
+import * as searchIndex from '../functions/searchIndex.js';
+import * as journal from '../functions/journal.js';
+import * as editor from '../functions/editor.js';
+import * as output from '../functions/output.js';
+
+export default function journalCommand(program) {
+    const journalCmd = program
+        .command('journal [day]')
+        .description('Create or open the journal entry for a day: today (default), yesterday, tomorrow or YYYY-MM-DD')
+        .option('-w, --workspace <name>', 'Workspace that holds the journal (default: the current one, or "journal.workspace" in .notedconfig)')
+        .option('-t, --template <name>', 'Template for a new entry (default: "journal.template" in .notedconfig, or "journal")')
+        .option('--no-open', 'Only create the entry and print its path, without opening it')
+        .addHelpText('after', `
+Entries are stored as <folder>/YYYY/MM/YYYY-MM-DD.md inside the workspace. The folder
+("journal" by default), the default workspace and the template ("journal" by default)
+can be set in .notedconfig:
+
+    "journal": { "workspace": "Work", "folder": "worklog", "template": "standup" }
+
+Examples:
+    $ noted journal
+    $ noted journal yesterday
+    $ noted journal 2026-10-19 --workspace Work
+    $ noted journal list --week
+    $ noted journal prev
+`)
+        .action(async (day, options) => {
+            try {
+                const context = loadJournal(options.workspace);
+                if (!context) {
+                    return;
+                }
+
+                const date = journal.parseJournalDate(day);
+                const entryPath = journal.getEntryPath(context.settings, date);
+
+                if (fs.existsSync(entryPath)) {
+                    console.log(chalk.green(`✔ Journal entry for ${journal.formatDate(date)}: ${entryPath}`));
+                } else {
+                    const entryDir = journal.getEntryDir(context.settings, date);
+                    const templateName = options.template || context.settings.template;
+                    const template = templates.resolveTemplate(templateName, context.settings.workspacePath);
+                    if (!template) {
+                        output.error(chalk.red(`✖ Error: Template '${templateName}' does not exist. Run "noted template list" to see the available templates.`));
+                        return;
+                    }
+
+                    fs.mkdirSync(entryDir, { recursive: true });
+                    await notesHelper.createNote(entryDir, journal.formatDate(date), {
+                        template,
+                        date,
+                        commitMessage: `Add journal entry: ${journal.formatDate(date)}`,
+                    });
+                    await searchIndex.refreshIndexFor(entryDir);
+                    console.log(chalk.green(`✔ Journal entry for ${journal.formatDate(date)}: ${entryPath}`));
+                }
+
+                if (options.open) {
+                    editor.openFile(entryPath);
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error opening journal entry: ') + error.message, error.exitCode);
+            }
+        });
+
+    // List journal entries command
+    journalCmd
+        .command('list [day]')
+        .description('List journal entries, optionally only those in the week or month of a day (default: today)')
+        .option('-w, --workspace <name>', 'Workspace that holds the journal')
+        .option('--week', 'Only list entries from the week (Monday to Sunday) of the day')
+        .option('--month', 'Only list entries from the month of the day')
+        .action(async (day, options) => {
+            try {
+                const context = loadJournal(options.workspace);
+                if (!context) {
+                    return;
+                }
+
+                let entries = journal.listEntries(context.settings);
+                let heading = 'All entries';
+                if (options.week || options.month) {
+                    const date = journal.parseJournalDate(day);
+                    const range = options.week ? journal.getWeekRange(date) : journal.getMonthRange(date);
+                    entries = entries.filter(entry => entry.date >= range.start && entry.date <= range.end);
+                    heading = `${options.week ? 'Week' : 'Month'} of ${journal.formatDate(range.start)} to ${journal.formatDate(range.end)}`;
+                }
+
+                const workspaceName = path.basename(context.settings.workspacePath);
+                output.setResult(entries.map(entry => ({ date: journal.formatDate(entry.date), path: entry.path })));
+                if (entries.length === 0) {
+                    console.log(chalk.yellow(`No journal entries found in ${workspaceName}.`));
+                    return;
+                }
+
+                console.log(chalk.blue(`Journal in ${workspaceName} — ${heading}:`));
+                entries.forEach((entry) => {
+                    const weekday = entry.date.toLocaleDateString('en-US', { weekday: 'short' });
+                    const relativePath = path.relative(context.settings.workspacePath, entry.path);
+                    console.log(`  ${chalk.green(journal.formatDate(entry.date))}  ${weekday}  ${chalk.gray(relativePath)}`);
+                });
+                console.log(chalk.gray(`${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing journal entries: ') + error.message);
+            }
+        });
+
+    // Previous and next entry commands
+    for (const direction of ['prev', 'next']) {
+        journalCmd
+            .command(`${direction} [day]`)
+            .description(`Open the ${direction === 'prev' ? 'previous' : 'next'} existing journal entry before or after a day (default: today)`)
+            .option('-w, --workspace <name>', 'Workspace that holds the journal')
+            .option('--no-open', 'Only print the entry\'s path, without opening it')
+            .action(async (day, options) => {
+                try {
+                    const context = loadJournal(options.workspace);
+                    if (!context) {
+                        return;
+                    }
+
+                    const date = journal.parseJournalDate(day);
+                    const entries = journal.listEntries(context.settings);
+                    const entry = direction === 'prev'
+                        ? entries.filter(candidate => candidate.date < date).pop()
+                        : entries.find(candidate => candidate.date > date);
+                    if (!entry) {
+                        console.log(chalk.yellow(`No ${direction === 'prev' ? 'earlier' : 'later'} journal entry than ${journal.formatDate(date)}.`));
+                        return;
+                    }
+
+                    output.setResult({ date: journal.formatDate(entry.date), path: entry.path });
+                    console.log(chalk.green(`✔ Journal entry for ${journal.formatDate(entry.date)}: ${entry.path}`));
+                    if (options.open) {
+                        editor.openFile(entry.path);
+                    }
+                } catch (error) {
+                    output.error(chalk.red('✖ Error opening journal entry: ') + error.message);
+                }
+            });
+    }
+}
+
+// Find the Noted root and the journal settings, printing an error when there is none
+function loadJournal(workspaceName) {
+    const currentDir = process.cwd();
+    const notedRoot = getters.getNotedRepoRoot(currentDir);
+    if (!notedRoot) {
+        output.notInRepository();
+        return null;
+    }
+    return { notedRoot, settings: journal.getJournalSettings(notedRoot, currentDir, workspaceName) };
+}
@@ -0,0 +1,143 @@
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as notesHelper from '../functions/notes.js';
+import * as links from '../functions/links.js';
+import * as output from '../functions/output.js';
+
+export default function linksCommand(program) {
+    const linksCmd = program
+        .command('links [note]')
+        .description('Show the wiki links ([[note]] or [[workspace:folder/note]]) going out of a note')
+        .addHelpText('after', `
+Examples:
+    $ noted links standup
+    $ noted links Work:meetings/standup
+    $ noted links check
+`)
+        .action(async (noteArg) => {
+            try {
+                if (!noteArg) {
+                    linksCmd.outputHelp();
+                    return;
+                }
+
+                const context = loadContext();
+                if (!context) {
+                    return;
+                }
+
+                const note = links.findNote(noteArg, process.cwd(), context.catalog, context.workspacePath);
+                if (!note) {
+                    output.error(chalk.red(`✖ Error: Note '${noteArg}' does not exist.`));
+                    return;
+                }
+
+                const outgoing = context.graph.filter(edge => edge.source === note);
+                output.setResult(outgoing.map(edge => ({
+                    link: edge.link.raw,
+                    lineNumber: edge.link.lineNumber,
+                    target: edge.target ? links.noteLinkId(edge.target) : null,
+                })));
+                if (outgoing.length === 0) {
+                    console.log(chalk.yellow(`No links found in ${links.noteLinkId(note)}.`));
+                    return;
+                }
+
+                console.log(chalk.blue(`Links from ${links.noteLinkId(note)}:`));
+                outgoing.forEach((edge) => {
+                    const lineNumber = chalk.gray(`${edge.link.lineNumber}:`);
+                    if (edge.target) {
+                        console.log(`  ${lineNumber} ${edge.link.raw} ${chalk.gray('→')} ${chalk.green(links.noteLinkId(edge.target))}`);
+                    } else {
+                        console.log(`  ${lineNumber} ${edge.link.raw} ${chalk.gray('→')} ${chalk.red('✖ not found')}`);
+                    }
+                });
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing links: ') + error.message);
+            }
+        });
+
+    // Check links command
+    linksCmd
+        .command('check')
+        .description('Report wiki links whose target note no longer exists')
+        .option('-w, --workspace <name>', 'Only check notes inside the given workspace')
+        .action(async (options) => {
+            try {
+                const context = loadContext();
+                if (!context) {
+                    return;
+                }
+
+                const broken = context.graph.filter(edge => !edge.target
+                    && (!options.workspace || edge.source.workspace === options.workspace));
+                output.setResult(broken.map(edge => ({
+                    source: links.noteLinkId(edge.source),
+                    lineNumber: edge.link.lineNumber,
+                    link: edge.link.raw,
+                })));
+
+                if (broken.length === 0) {
+                    console.log(chalk.green(`✔ No broken links found in ${context.catalog.notes.length} note(s).`));
+                    return;
+                }
+
+                output.error(chalk.red(`✖ Found ${broken.length} broken link(s):`), output.EXIT_CODES.PROBLEMS_FOUND);
+                broken.forEach((edge) => {
+                    console.log(`  ${chalk.blue(links.noteLinkId(edge.source))}${chalk.gray(`:${edge.link.lineNumber}`)} ${edge.link.raw}`);
+                });
+            } catch (error) {
+                output.error(chalk.red('✖ Error checking links: ') + error.message);
+            }
+        });
+
+    // Backlinks command
+    program
+        .command('backlinks <note>')
+        .description('Show the notes that link to a note')
+        .action(async (noteArg) => {
+            try {
+                const context = loadContext();
+                if (!context) {
+                    return;
+                }
+
+                const note = links.findNote(noteArg, process.cwd(), context.catalog, context.workspacePath);
+                if (!note) {
+                    output.error(chalk.red(`✖ Error: Note '${noteArg}' does not exist.`));
+                    return;
+                }
+
+                const incoming = context.graph.filter(edge => edge.target === note);
+                output.setResult(incoming.map(edge => ({
+                    source: links.noteLinkId(edge.source),
+                    lineNumber: edge.link.lineNumber,
+                    line: edge.link.line.trim(),
+                })));
+                if (incoming.length === 0) {
+                    console.log(chalk.yellow(`No notes link to ${links.noteLinkId(note)}.`));
+                    return;
+                }
+
+                console.log(chalk.blue(`Backlinks to ${links.noteLinkId(note)}:`));
+                incoming.forEach((edge) => {
+                    console.log(`  ${chalk.green(links.noteLinkId(edge.source))}${chalk.gray(`:${edge.link.lineNumber}`)} ${edge.link.line.trim()}`);
+                });
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing backlinks: ') + error.message);
+            }
+        });
+}
+
+// Collect all notes of the Noted repository and resolve their links
+function loadContext() {
+    const currentDir = process.cwd();
+    const notedRoot = getters.getNotedRepoRoot(currentDir);
+    if (!notedRoot) {
+        output.notInRepository();
+        return null;
+    }
+
+    const { catalog, graph } = links.buildLinkGraph(notesHelper.collectAllNotes(notedRoot));
+    return { notedRoot, workspacePath: getters.getWorkspacePath(currentDir), catalog, graph };
+}
@@ -3,11 +3,13 @@ import path from 'path';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { exec } from 'child_process';
+import * as getters from '../functions/getters.js';
+import * as output from '../functions/output.js';
 
 export default function navCommand(program) {
     program
         .command('nav [scope]')
-        .description('Navigate through Workspaces, Folders, and Notes')
+        .description('Navigate through Workspaces, Folders, and Notes (use "noted open" to jump straight to a note)')
         .action((scope) => {
             if (scope === 'all') {
                 navigateFromRoot();  // Start from the Noted repo root
@@ -31,18 +33,6 @@ const getNotes = (source) =>
         .filter((dirent) => dirent.isFile() && dirent.name.endsWith('.md') && !dirent.name.startsWith('.')) // Exclude hidden files
         .map((dirent) => dirent.name);
 
-// Function to detect the root of the Noted repository (by checking for .notedconfig file)
-function getNotedRepoRoot(currentDir) {
-    let dir = currentDir;
-    while (dir !== '/') {
-        if (fs.existsSync(path.join(dir, '.notedconfig'))) {
-            return dir;  // Found the Noted repository root
-        }
-        dir = path.dirname(dir);
-    }
-    return null;  // No Noted repo root found
-}
-
 // Function to detect the workspace root (by checking for .git directory)
 function getWorkspaceRoot(currentDir) {
     let dir = currentDir;
@@ -63,7 +53,7 @@ function openFolderInFinder(folderPath) {
     } else if (platform === 'linux') {
         exec(`xdg-open "${folderPath}"`);  // Linux
     } else {
-        console.log(chalk.red('Opening folders is not supported on this OS.'));
+        output.error(chalk.red('✖ Error: Opening folders is not supported on this OS.'));
     }
 }
 
@@ -75,7 +65,7 @@ function openNoteInEditor(notePath) {
     } else if (platform === 'linux') {
         exec(`xdg-open "${notePath}"`);  // Linux opens in the default text editor
     } else {
-        console.log(chalk.red('Opening files is not supported on this OS.'));
+        output.error(chalk.red('✖ Error: Opening files is not supported on this OS.'));
     }
 }
 
@@ -88,9 +78,9 @@ function navigateFromCurrentDir() {
 
 // Function to navigate from the Noted repository root
 function navigateFromRoot() {
-    const notedRoot = getNotedRepoRoot(process.cwd());
+    const notedRoot = getters.getNotedRepoRoot(process.cwd());
     if (!notedRoot) {
-        console.log(chalk.red('Noted repository root not found.'));
+        output.notInRepository();
         return;
     }
     console.log(chalk.green(`Starting from the Noted repository root: ${notedRoot}`));
@@ -101,7 +91,7 @@ function navigateFromRoot() {
 function navigateFromWorkspace() {
     const workspaceRoot = getWorkspaceRoot(process.cwd());
     if (!workspaceRoot) {
-        console.log(chalk.red('Workspace root not found.'));
+        output.error(chalk.red('✖ Error: Workspace root not found.'));
         return;
     }
     console.log(chalk.green(`Starting from the workspace root: ${workspaceRoot}`));
@@ -110,7 +100,8 @@ function navigateFromWorkspace() {
 
 // Function to navigate folders and notes inside a workspace
 async function navigateFolders(currentPath, currentFolder) {
-    const folders = getDirectories(currentPath);  // Get directories (folders)
+    const archived = getters.getArchivedWorkspaces(currentPath);
+    const folders = getDirectories(currentPath).filter(f => !archived.includes(f));  // Get directories (folders), hiding archived workspaces
     const notes = getNotes(currentPath);  // Get notes (Markdown files)
 
     const choices = [...folders.map(f => `📂 ${f}`), ...notes.map(n => `📝 ${n}`), 'Go Back', 'Exit'];
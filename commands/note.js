@@ -2,8 +2,11 @@ import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
 import * as getters from '../functions/getters.js';
-import * as validations from '../functions/validations.js';
-import * as remotes from '../functions/remoteHelpers.js';
+import * as links from '../functions/links.js';
+import * as move from '../functions/move.js';
+import * as notesHelper from '../functions/notes.js';
+import * as output from '../functions/output.js';
+import * as api from '../api.js';
 
 export default function noteCommand(program) {
     const note = program.command('note').description('Manage notes inside the current workspace');
@@ -13,74 +16,99 @@ export default function noteCommand(program) {
         .command('add [note]')
         .description('Add a new note in the current workspace (default name: untitled-note)')
         .option('-u, --untracked', 'Create an untracked note')
+        .option('-t, --template <name>', 'Create the note from a template (see "noted template list")')
+        .option('--tags <tags>', 'Comma-separated tags to add to the note\'s front matter')
+        .option('-s, --status <status>', 'Status to record in the note\'s front matter (default: "draft")')
         .action(async (noteName = 'untitled-note', options) => {
             try {
-                const currentDir = process.cwd();
-
-                // Check if we're in the main Noted repository
-                if (validations.isMainNotedRepo(currentDir)) {
-                    console.error(chalk.red('✖ Error: Notes cannot be created in the main Noted repository.'));
-                    return;
+                // Create the note (with an incremented name if it already exists) and commit it
+                const created = await api.addNote(process.cwd(), noteName, {
+                    template: options.template,
+                    tags: options.tags ? options.tags.split(',') : [],
+                    status: options.status,
+                    untracked: Boolean(options.untracked),
+                });
+                output.setResult(created);
+                if (options.untracked) {
+                    console.log(chalk.yellow(`✔ Created untracked note: ${created.name}`));
                 }
+            } catch (error) {
+                output.error(chalk.red('✖ Error adding note: ') + error.message, error.exitCode);
+            }
+        });
 
-                // Handle the incrementing note name logic
-                let baseNoteName = noteName;
-                let finalNoteName = baseNoteName;
-                let notePath = path.join(currentDir, `${finalNoteName}.md`);
+    // Delete note command
+    note
+        .command('delete <note>')
+        .description('Delete a note from the current workspace')
+        .option('-y, --yes', 'Delete without asking for confirmation')
+        .action(async (noteName, options) => {
+            try {
+                const currentDir = process.cwd();
 
-                let counter = 1;
-                while (fs.existsSync(notePath)) {
-                    finalNoteName = `${baseNoteName}-${counter}`;
-                    notePath = path.join(currentDir, `${finalNoteName}.md`);
-                    counter++;
+                // Check for both the note with and without the .md extension
+                const notePath = notesHelper.resolveNotePath(currentDir, noteName);
+                if (!fs.existsSync(notePath)) {
+                    output.error(chalk.red(`✖ Error: Note '${noteName}' does not exist.`));
+                    return;
                 }
 
-                // Create the note (Markdown file)
-                fs.writeFileSync(notePath, `# ${finalNoteName}\n`);
-                console.log(chalk.green(`✔ Created note: ${finalNoteName} in the current workspace`));
+                // Warn about links that will break
+                links.warnIncomingLinks(currentDir, [notePath]);
 
-                // Track the note in Git by default unless the --untracked option is specified
-                if (!options.untracked) {
-                    // Track the note and commit the changes
-                    await remotes.commitChanges(currentDir, `Add note: ${finalNoteName}`);
-                } else {
-                    console.log(chalk.yellow(`✔ Created untracked note: ${finalNoteName}`));
+                // Ask before deleting; tracked notes can be recovered with "noted trash"
+                const confirmed = await getters.getConfirmation(options, `Delete note '${noteName.replace('.md', '')}'?`);
+                if (!confirmed) {
+                    console.log(chalk.yellow('⚠ Deletion cancelled.'));
+                    return;
                 }
 
+                // Delete the note and commit the deletion
+                output.setResult(await api.deleteNote(currentDir, noteName));
             } catch (error) {
-                console.error(chalk.red('✖ Error adding note: ') + error.message);
+                output.error(chalk.red('✖ Error deleting note: ') + error.message, error.exitCode);
             }
         });
 
-    // Delete note command
+    // Move note command
     note
-        .command('delete <note>')
-        .description('Delete a note from the current workspace')
-        .action(async (noteName) => {
+        .command('mv <source> <destination>')
+        .description('Move or rename a note, keeping its history and updating links to it')
+        .addHelpText('after', `
+The destination is relative to the current folder, or "workspace:folder/name" to move the note into another workspace.
+
+Examples:
+    $ noted note mv standup standup-2026
+    $ noted note mv standup archive/
+    $ noted note mv standup School:meetings/standup
+`)
+        .action(async (source, destination) => {
             try {
                 const currentDir = process.cwd();
-
-                // Check for both the note with and without the .md extension
-                let notePath = path.join(currentDir, `${noteName}`);
-                if (!noteName.endsWith('.md')) {
-                    notePath = path.join(currentDir, `${noteName}.md`);
+                const notedRoot = getters.getNotedRepoRoot(currentDir);
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
                 }
 
-                // If the note exists, delete it
-                if (!fs.existsSync(notePath)) {
-                    console.error(chalk.red(`✖ Error: Note '${noteName}' does not exist.`));
+                const sourcePath = path.resolve(currentDir, source.endsWith('.md') ? source : `${source}.md`);
+                if (!fs.existsSync(sourcePath)) {
+                    output.error(chalk.red(`✖ Error: Note '${source}' does not exist.`));
                     return;
                 }
 
-                // Delete the note
-                fs.rmSync(notePath);
-                console.log(chalk.green(`✔ Deleted note: ${noteName.replace('.md', '')}`));
-
-                // Commit the deletion
-                await remotes.commitChanges(currentDir, `Delete note: ${noteName}`);
+                // Moving into a folder keeps the note's name
+                let destPath = move.resolveDestination(destination, currentDir, notedRoot);
+                if (destination.endsWith('/') || (fs.existsSync(destPath) && fs.statSync(destPath).isDirectory())) {
+                    destPath = path.join(destPath, path.basename(sourcePath));
+                } else if (!destPath.endsWith('.md')) {
+                    destPath = `${destPath}.md`;
+                }
 
+                const { from, to } = await move.moveItem(sourcePath, destPath, 'note');
+                console.log(chalk.green(`✔ Moved note: ${from} -> ${to}`));
             } catch (error) {
-                console.error(chalk.red('✖ Error deleting note: ') + error.message);
+                output.error(chalk.red('✖ Error moving note: ') + error.message);
             }
         });
 
@@ -88,24 +116,43 @@ export default function noteCommand(program) {
     note
         .command('list')
         .description('List all notes in the current workspace')
-        .action(async () => {
+        .option('--tag <tag>', 'Only list notes with the given tag')
+        .option('-s, --status <status>', 'Only list notes with the given status')
+        .option('--sort <field>', 'Sort by "name" or "updated" (most recent first)', 'name')
+        .addHelpText('after', `
+Examples:
+    $ noted note list
+    $ noted note list --tag meeting
+    $ noted note list --status draft --sort updated
+`)
+        .action(async (options) => {
             try {
-                const currentDir = process.cwd();
-
-                // List all Markdown files (notes) in the current directory
-                const items = fs.readdirSync(currentDir, { withFileTypes: true });
-                const notes = items.filter(item => item.isFile() && item.name.endsWith('.md'));
-
+                // List the notes in the current directory, filtered and sorted
+                const notes = api.listNotes(process.cwd(), { tag: options.tag, status: options.status, sort: options.sort });
+                output.setResult(notes);
                 if (notes.length === 0) {
-                    console.log(chalk.yellow('No notes found in the current workspace.'));
+                    const filtered = options.tag || options.status;
+                    console.log(chalk.yellow(filtered ? 'No notes match the given filters.' : 'No notes found in the current workspace.'));
                     return;
                 }
 
-                // Display note names
-                notes.forEach(note => console.log(chalk.blue(note.name.replace('.md', ''))));
+                // Display note names with their tags and status
+                notes.forEach((note) => {
+                    const details = [];
+                    if (note.metadata.status) {
+                        details.push(`[${note.metadata.status}]`);
+                    }
+                    if (note.metadata.tags && note.metadata.tags.length > 0) {
+                        details.push(note.metadata.tags.map(tag => `#${tag}`).join(' '));
+                    }
+                    if (options.sort === 'updated') {
+                        details.push(note.updated.toISOString().slice(0, 16).replace('T', ' '));
+                    }
+                    console.log(chalk.blue(note.name) + (details.length > 0 ? ` ${chalk.gray(details.join('  '))}` : ''));
+                });
 
             } catch (error) {
-                console.error(chalk.red('✖ Error listing notes: ') + error.message);
+                output.error(chalk.red('✖ Error listing notes: ') + error.message, error.exitCode);
             }
         });
 }
@@ -0,0 +1,97 @@
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import * as getters from '../functions/getters.js';
+import * as notesHelper from '../functions/notes.js';
+import * as finder from '../functions/finder.js';
+import * as editor from '../functions/editor.js';
+import { noteLinkId } from '../functions/links.js';
+import * as output from '../functions/output.js';
+
+// The finder only lists the best matches; typing more narrows them down
+const MAX_RESULTS = 50;
+
+export default function openCommand(program) {
+    program
+        .command('open [query]')
+        .description('Find a note across all workspaces by fuzzy-matching its path, with a preview, and open it')
+        .option('-w, --workspace <name>', 'Only list notes from one workspace')
+        .addHelpText('after', `
+Type to filter, use the arrow keys to move through the matches and Enter to open the
+highlighted note in $EDITOR (or your default app). When the query matches a single note,
+it is opened right away.
+
+Examples:
+    $ noted open
+    $ noted open standup
+    $ noted open wk:mtg/retro
+`)
+        .action(async (query, options) => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                let notes = await notesHelper.collectReadableNotes(notedRoot);
+                if (options.workspace) {
+                    if (!getters.getSubmodules(notedRoot).some(workspacePath => path.basename(workspacePath) === options.workspace)) {
+                        output.error(chalk.red(`✖ Error: Workspace '${options.workspace}' does not exist.`));
+                        return;
+                    }
+                    notes = notes.filter(note => note.workspace === options.workspace);
+                }
+                if (notes.length === 0) {
+                    console.log(chalk.yellow('⚠ No notes found.'));
+                    return;
+                }
+
+                const entries = notes.map(note => ({ label: noteLinkId(note), note }));
+                const initial = query ? finder.rankEntries(entries, query) : entries;
+                if (initial.length === 0) {
+                    console.log(chalk.yellow(`No notes match "${query}".`));
+                    return;
+                }
+
+                let selected = initial.length === 1 ? initial[0].note.path : null;
+                if (!selected) {
+                    // Without a terminal to prompt in, list the matches instead
+                    if (!process.stdin.isTTY) {
+                        initial.slice(0, MAX_RESULTS).forEach(entry => console.log(`${entry.label}\t${entry.note.path}`));
+                        return;
+                    }
+
+                    const previews = new Map();
+                    const preview = (notePath) => {
+                        if (!previews.has(notePath)) {
+                            previews.set(notePath, finder.getPreview(notePath));
+                        }
+                        return previews.get(notePath);
+                    };
+
+                    ({ selected } = await inquirer.prompt([
+                        {
+                            type: 'search',
+                            name: 'selected',
+                            message: query ? `Open a note (matching "${query}"):` : 'Open a note:',
+                            pageSize: 10,
+                            theme: { style: { description: text => `\n${chalk.gray(text)}` } },
+                            source: term => (term ? finder.rankEntries(initial, term) : initial)
+                                .slice(0, MAX_RESULTS)
+                                .map(entry => ({ name: entry.label, value: entry.note.path, description: preview(entry.note.path) })),
+                        },
+                    ]));
+                }
+
+                console.log(chalk.green(`✔ Opening ${selected}`));
+                editor.openFile(selected);
+            } catch (error) {
+                // Ctrl+C in the finder
+                if (error.name === 'ExitPromptError') {
+                    return;
+                }
+                output.error(chalk.red('✖ Error opening note: ') + error.message);
+            }
+        });
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as registry from '../functions/registry.js';
+import * as output from '../functions/output.js';
+
+export default function rootCommand(program) {
+    const root = program
+        .command('root')
+        .description('Manage the Noted repositories known to every shell, and the default one used outside them')
+        .addHelpText('after', `
+Registered roots are stored in ~/.config/noted/config.json (or $XDG_CONFIG_HOME/noted).
+Commands started outside a Noted repository run in the default root, so with the global
+-w and -f options they work from any directory:
+
+    $ noted note add -w Work -f meetings/standup Today
+
+Examples:
+    $ noted root add ~/Documents/Noted
+    $ noted root add ~/work/TeamNotes --name team
+    $ noted root use team
+    $ noted root list
+`);
+
+    // Add root command
+    root
+        .command('add [path]')
+        .description('Register a Noted repository root (default: the one around the current directory)')
+        .option('-n, --name <name>', 'Name to register it under (default: its folder name)')
+        .action(async (rootPath, options) => {
+            try {
+                const resolved = rootPath ? path.resolve(rootPath) : getters.getNotedRepoRoot(process.cwd());
+                if (!resolved) {
+                    output.error(chalk.red('✖ Error: Noted repository root not found. Run this command inside a Noted repository or give its path.'), output.EXIT_CODES.NOT_IN_REPOSITORY);
+                    return;
+                }
+
+                const result = registry.addRoot(resolved, options.name);
+                if (!result.added) {
+                    console.log(chalk.yellow(`⚠ ${resolved} is already registered as '${result.name}'.`));
+                    return;
+                }
+                console.log(chalk.green(`✔ Registered Noted root '${result.name}': ${resolved}`));
+                if (result.isDefault) {
+                    console.log(chalk.green(`✔ '${result.name}' is the default root.`));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error registering root: ') + error.message);
+            }
+        });
+
+    // List roots command
+    root
+        .command('list')
+        .description('List the registered Noted roots; the default one is marked with *')
+        .action(async () => {
+            try {
+                const config = registry.readUserConfig();
+                const names = Object.keys(config.roots);
+                output.setResult(names.sort().map(name => ({ name, path: config.roots[name], default: name === config.default })));
+                if (names.length === 0) {
+                    console.log(chalk.yellow('No Noted roots registered. Add one with "noted root add <path>".'));
+                    return;
+                }
+
+                console.log(chalk.blue('Noted roots:'));
+                names.sort().forEach((name) => {
+                    const rootPath = config.roots[name];
+                    const marker = name === config.default ? chalk.green('*') : ' ';
+                    const missing = fs.existsSync(path.join(rootPath, '.notedconfig')) ? '' : chalk.red(' (missing)');
+                    console.log(`${marker} ${name}  ${chalk.gray(rootPath)}${missing}`);
+                });
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing roots: ') + error.message);
+            }
+        });
+
+    // Use root command
+    root
+        .command('use <name>')
+        .description('Make a registered root the default for commands run outside a Noted repository')
+        .action(async (name) => {
+            try {
+                const rootPath = registry.setDefaultRoot(name);
+                console.log(chalk.green(`✔ Default Noted root is now '${name}': ${rootPath}`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error setting default root: ') + error.message);
+            }
+        });
+
+    // Remove root command
+    root
+        .command('remove <name>')
+        .description('Forget a registered root (its files are left untouched)')
+        .action(async (name) => {
+            try {
+                const newDefault = registry.removeRoot(name);
+                console.log(chalk.green(`✔ Removed Noted root '${name}'.`));
+                if (newDefault) {
+                    console.log(chalk.green(`✔ Default Noted root: '${newDefault}'.`));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error removing root: ') + error.message);
+            }
+        });
+}
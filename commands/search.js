@@ -0,0 +1,77 @@
+import chalk from 'chalk';
+import * as search from '../functions/search.js';
+import * as output from '../functions/output.js';
+import * as api from '../api.js';
+
+const MAX_LINES_PER_NOTE = 5;
+
+export default function searchCommand(program) {
+    program
+        .command('search <query>')
+        .description('Search the content of every note across all workspaces')
+        .option('-r, --regex', 'Treat the query as a regular expression')
+        .option('-c, --case-sensitive', 'Match case exactly (default: case-insensitive)')
+        .option('-w, --workspace <name>', 'Only search inside the given workspace')
+        .option('-f, --folder <path>', 'Only search inside the given folder (and its subfolders)')
+        .option('-l, --limit <count>', 'Maximum number of notes to show', '50')
+        .option('--no-index', 'Scan every note instead of using the search index')
+        .addHelpText('after', `
+Examples:
+    $ noted search deadline
+    $ noted search "TODO|FIXME" --regex
+    $ noted search API --case-sensitive --workspace Work
+    $ noted search standup --folder meetings
+`)
+        .action(async (query, options) => {
+            try {
+                const results = await api.searchNotes(process.cwd(), query, {
+                    regex: options.regex,
+                    caseSensitive: options.caseSensitive,
+                    workspace: options.workspace,
+                    folder: options.folder,
+                    useIndex: options.index,
+                });
+
+                const limit = parseInt(options.limit, 10) || 50;
+                output.setResult(results.slice(0, limit).map(result => ({
+                    workspace: result.note.workspace,
+                    path: result.note.path,
+                    matches: result.matches.map(match => ({ lineNumber: match.lineNumber, line: match.line })),
+                })));
+                if (results.length === 0) {
+                    console.log(chalk.yellow(`No notes match "${query}".`));
+                    return;
+                }
+
+                const shown = results.slice(0, limit);
+                const totalMatches = results.reduce((sum, result) => sum + result.matches.length, 0);
+                console.log(chalk.green(`✔ Found ${totalMatches} matching line(s) in ${results.length} note(s).`));
+
+                for (const workspaceGroup of search.groupResults(shown)) {
+                    console.log(chalk.blue.bold(`\n${workspaceGroup.name}`));
+
+                    for (const folderGroup of workspaceGroup.folders) {
+                        console.log(chalk.blue(`  📂 ${folderGroup.name || '.'}`));
+
+                        for (const result of folderGroup.results) {
+                            console.log(`    📝 ${chalk.bold(result.note.name)} ${chalk.gray(`(${result.matches.length} line(s))`)}`);
+
+                            result.matches.slice(0, MAX_LINES_PER_NOTE).forEach((match) => {
+                                const snippet = search.highlightSnippet(match.line, match.ranges, text => chalk.black.bgYellow(text));
+                                console.log(`      ${chalk.gray(`${match.lineNumber}:`)} ${snippet}`);
+                            });
+                            if (result.matches.length > MAX_LINES_PER_NOTE) {
+                                console.log(chalk.gray(`      … ${result.matches.length - MAX_LINES_PER_NOTE} more`));
+                            }
+                        }
+                    }
+                }
+
+                if (results.length > shown.length) {
+                    console.log(chalk.yellow(`\n⚠ Showing ${shown.length} of ${results.length} notes. Use --limit to see more.`));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error searching notes: ') + error.message, error.exitCode);
+            }
+        });
+}
@@ -0,0 +1,53 @@
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as server from '../functions/server.js';
+import * as output from '../functions/output.js';
+
+export default function serveCommand(program) {
+    program
+        .command('serve')
+        .description('Browse, edit and view the history of notes in a web browser, served on localhost only')
+        .option('-p, --port <port>', 'Port to listen on', '4000')
+        .addHelpText('after', `
+Every save from the browser is committed like any other note change. Locked encrypted
+workspaces are not shown.
+
+Examples:
+    $ noted serve
+    $ noted serve --port 8080
+`)
+        .action(async (options) => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const port = Number(options.port);
+                if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                    output.error(chalk.red(`✖ Error: '${options.port}' is not a valid port.`), output.EXIT_CODES.USAGE);
+                    return;
+                }
+
+                const httpServer = server.createNotedServer(notedRoot, { port });
+                httpServer.on('error', (error) => {
+                    const message = error.code === 'EADDRINUSE' ? `Port ${port} is already in use; pick another with --port.` : error.message;
+                    output.error(chalk.red('✖ Error starting server: ') + message);
+                });
+                httpServer.listen(port, '127.0.0.1', () => {
+                    console.log(chalk.green(`✔ Serving ${notedRoot} at http://127.0.0.1:${port}/`));
+                    console.log(chalk.blue('Press Ctrl+C to stop.'));
+                });
+
+                const shutdown = () => {
+                    httpServer.close();
+                    process.exit(0);
+                };
+                process.on('SIGINT', shutdown);
+                process.on('SIGTERM', shutdown);
+            } catch (error) {
+                output.error(chalk.red('✖ Error starting server: ') + error.message);
+            }
+        });
+}
@@ -0,0 +1,52 @@
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as output from '../functions/output.js';
+import * as api from '../api.js';
+
+export default function syncCommand(program) {
+    program
+        .command('sync')
+        .description('Pull remote changes into the workspaces and the parent repository, then push local ones')
+        .option('--all', 'Sync every workspace (default when run from the Noted repository root)')
+        .option('--merge', 'Merge remote changes instead of rebasing local commits onto them')
+        .option('--no-push', 'Only pull, do not push afterwards')
+        .addHelpText('after', `
+Each workspace is committed, fetched and rebased (or merged) onto origin, then the parent repository
+is synced and its workspace pointers are updated. Conflicting notes are resolved one by one:
+keep mine, keep theirs, or open both in $EDITOR.
+
+Examples:
+    $ noted sync
+    $ noted sync --all --merge
+`)
+        .action(async (options) => {
+            try {
+                const currentDir = process.cwd();
+                const notedRoot = getters.getNotedRepoRoot(currentDir);
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                // From inside a workspace only that workspace is synced, unless --all is given
+                const currentWorkspace = getters.getWorkspacePath(currentDir);
+                const result = await api.sync(currentDir, {
+                    workspaces: options.all || !currentWorkspace ? null : [path.basename(currentWorkspace)],
+                    merge: options.merge,
+                    push: options.push,
+                    interactive: getters.isInteractive(),
+                });
+                output.setResult(result);
+
+                if (result.aborted.length > 0) {
+                    console.log(chalk.yellow(`⚠ Sync aborted for: ${result.aborted.join(', ')}. Run "noted sync" again to retry.`));
+                    output.fail(output.EXIT_CODES.GIT);
+                } else {
+                    console.log(chalk.green('✔ Sync complete.'));
+                }
+            } catch (error) {
+                output.error(chalk.red(`✖ Error during sync: ${error.message}`), error.exitCode || output.EXIT_CODES.GIT);
+            }
+        });
+}
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as remotes from '../functions/remoteHelpers.js';
+import * as notesHelper from '../functions/notes.js';
+import * as frontMatter from '../functions/frontMatter.js';
+import * as output from '../functions/output.js';
+
+export default function tagCommand(program) {
+    const tag = program.command('tag').description('Manage the tags stored in a note\'s front matter');
+
+    // Add tags command
+    tag
+        .command('add <note> <tags...>')
+        .description('Add one or more tags to a note in the current folder')
+        .action(async (noteName, tags) => {
+            try {
+                const currentDir = process.cwd();
+                const notePath = notesHelper.resolveNotePath(currentDir, noteName);
+                if (!fs.existsSync(notePath)) {
+                    output.error(chalk.red(`✖ Error: Note '${noteName}' does not exist.`));
+                    return;
+                }
+
+                const newTags = tags.map(frontMatter.normalizeTag).filter(Boolean);
+                const metadata = frontMatter.updateMetadata(notePath, (data) => {
+                    data.tags = [...new Set([...(data.tags || []), ...newTags])];
+                });
+                console.log(chalk.green(`✔ Tagged ${path.basename(notePath, '.md')}: ${metadata.tags.map(t => `#${t}`).join(' ')}`));
+
+                await remotes.commitChanges(currentDir, `Tag note: ${path.basename(notePath, '.md')} (+${newTags.join(', +')})`);
+            } catch (error) {
+                output.error(chalk.red('✖ Error adding tags: ') + error.message);
+            }
+        });
+
+    // Remove tags command
+    tag
+        .command('remove <note> <tags...>')
+        .description('Remove one or more tags from a note in the current folder')
+        .action(async (noteName, tags) => {
+            try {
+                const currentDir = process.cwd();
+                const notePath = notesHelper.resolveNotePath(currentDir, noteName);
+                if (!fs.existsSync(notePath)) {
+                    output.error(chalk.red(`✖ Error: Note '${noteName}' does not exist.`));
+                    return;
+                }
+
+                const removedTags = tags.map(frontMatter.normalizeTag);
+                const current = frontMatter.readMetadata(notePath).tags || [];
+                const missing = removedTags.filter(t => !current.includes(t));
+                if (missing.length === removedTags.length) {
+                    console.log(chalk.yellow(`⚠ Note '${noteName}' has none of these tags. Nothing to remove.`));
+                    return;
+                }
+                if (missing.length > 0) {
+                    console.log(chalk.yellow(`⚠ Note '${noteName}' is not tagged ${missing.map(t => `#${t}`).join(' ')}.`));
+                }
+
+                frontMatter.updateMetadata(notePath, (data) => {
+                    data.tags = current.filter(t => !removedTags.includes(t));
+                });
+                const removed = removedTags.filter(t => current.includes(t));
+                console.log(chalk.green(`✔ Removed ${removed.map(t => `#${t}`).join(' ')} from ${path.basename(notePath, '.md')}`));
+
+                await remotes.commitChanges(currentDir, `Untag note: ${path.basename(notePath, '.md')} (-${removed.join(', -')})`);
+            } catch (error) {
+                output.error(chalk.red('✖ Error removing tags: ') + error.message);
+            }
+        });
+
+    // List tags command
+    tag
+        .command('list [note]')
+        .description('List the tags of a note, or every tag used in the current workspace (all workspaces from the Noted root)')
+        .action(async (noteName) => {
+            try {
+                const currentDir = process.cwd();
+
+                if (noteName) {
+                    const notePath = notesHelper.resolveNotePath(currentDir, noteName);
+                    if (!fs.existsSync(notePath)) {
+                        output.error(chalk.red(`✖ Error: Note '${noteName}' does not exist.`));
+                        return;
+                    }
+                    const tags = frontMatter.readMetadata(notePath).tags || [];
+                    output.setResult(tags);
+                    if (tags.length === 0) {
+                        console.log(chalk.yellow(`Note '${noteName}' has no tags.`));
+                        return;
+                    }
+                    tags.forEach(t => console.log(chalk.blue(`#${t}`)));
+                    return;
+                }
+
+                const notedRoot = getters.getNotedRepoRoot(currentDir);
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+                const workspacePath = getters.getWorkspacePath(currentDir);
+                const notes = workspacePath ? notesHelper.collectNotes(workspacePath) : notesHelper.collectAllNotes(notedRoot);
+
+                // Count how many notes use each tag
+                const counts = new Map();
+                for (const note of notes) {
+                    let tags = [];
+                    try {
+                        tags = frontMatter.readMetadata(note.path).tags || [];
+                    } catch (error) {
+                        console.log(chalk.yellow(`⚠ Skipping '${note.relativePath}': ${error.message}`));
+                    }
+                    tags.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+                }
+
+                const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+                output.setResult(sorted.map(([t, count]) => ({ tag: t, count })));
+                if (counts.size === 0) {
+                    console.log(chalk.yellow('No tags found.'));
+                    return;
+                }
+
+                sorted.forEach(([t, count]) => console.log(`${chalk.blue(`#${t}`)} ${chalk.gray(`(${count})`)}`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing tags: ') + error.message);
+            }
+        });
+}
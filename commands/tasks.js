@@ -0,0 +1,109 @@
+import chalk from 'chalk';
+import * as links from '../functions/links.js';
+import * as tasks from '../functions/tasks.js';
+import { formatDate, parseJournalDate } from '../functions/journal.js';
+import * as output from '../functions/output.js';
+import * as api from '../api.js';
+
+export default function tasksCommand(program) {
+    const tasksCmd = program
+        .command('tasks')
+        .description('List open checkbox tasks (- [ ]) from the notes of every workspace')
+        .option('-w, --workspace <name>', 'Only list tasks from one workspace')
+        .option('--tag <tag>', 'Only list tasks with the given #tag, or from notes with that tag')
+        .option('--due <when>', 'Only list tasks due by: today, tomorrow, week, overdue or YYYY-MM-DD')
+        .option('-a, --all', 'Also list completed tasks')
+        .addHelpText('after', `
+Tasks are Markdown checkboxes. A task can carry a due date and tags, where #high, #medium
+and #low (or #p1, #p2, #p3) set its priority:
+
+    - [ ] Send the retro summary @due(2026-10-20) #high #team
+
+Examples:
+    $ noted tasks
+    $ noted tasks --due today
+    $ noted tasks --workspace Work --tag team
+    $ noted tasks done 3f2a9c1
+`)
+        .action(async (options) => {
+            try {
+                const found = api.listTasks(process.cwd(), {
+                    workspace: options.workspace,
+                    tag: options.tag,
+                    due: options.due,
+                    all: options.all,
+                });
+                output.setResult(found.map(taskResult));
+                if (found.length === 0) {
+                    const filtered = options.workspace || options.tag || options.due;
+                    console.log(chalk.yellow(filtered ? 'No tasks match the given filters.' : 'No open tasks found.'));
+                    return;
+                }
+
+                // Group by note, with the notes that have the most urgent task first
+                const groups = new Map();
+                for (const task of found) {
+                    const noteId = links.noteLinkId(task.note);
+                    if (!groups.has(noteId)) {
+                        groups.set(noteId, []);
+                    }
+                    groups.get(noteId).push(task);
+                }
+
+                const today = formatDate(parseJournalDate('today'));
+                for (const [noteId, noteTasks] of groups) {
+                    console.log(chalk.blue(noteId));
+                    noteTasks.forEach((task) => {
+                        const details = [];
+                        if (task.due) {
+                            const overdue = !task.done && task.due < today;
+                            const color = overdue ? chalk.red : !task.done && task.due === today ? chalk.yellow : chalk.gray;
+                            details.push(color(`due ${task.due}${overdue ? ' (overdue)' : ''}`));
+                        }
+                        if (task.priority) {
+                            details.push(chalk.magenta(`!${tasks.PRIORITY_NAMES[task.priority]}`));
+                        }
+                        if (task.tags.length > 0) {
+                            details.push(chalk.gray(task.tags.map(tag => `#${tag}`).join(' ')));
+                        }
+                        const box = task.done ? chalk.green('[x]') : '[ ]';
+                        console.log(`  ${chalk.gray(task.id)} ${box} ${task.text}${details.length > 0 ? `  ${details.join('  ')}` : ''}`);
+                    });
+                }
+                console.log(chalk.gray(`${found.length} task(s) in ${groups.size} note(s)`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing tasks: ') + error.message, error.exitCode);
+            }
+        });
+
+    // Complete task command
+    tasksCmd
+        .command('done <id>')
+        .description('Tick the checkbox of a task in its note and commit the change')
+        .action(async (id) => {
+            try {
+                const { task, completed } = await api.completeTask(process.cwd(), id);
+                output.setResult(taskResult(task));
+                if (!completed) {
+                    console.log(chalk.yellow(`⚠ Task ${task.id} is already done: ${task.text}`));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error completing task: ') + error.message, error.exitCode);
+            }
+        });
+}
+
+// A task as printed with --json
+function taskResult(task) {
+    return {
+        id: task.id,
+        text: task.text,
+        done: task.done,
+        due: task.due || null,
+        priority: task.priority ? tasks.PRIORITY_NAMES[task.priority] : null,
+        tags: task.tags,
+        note: links.noteLinkId(task.note),
+        path: task.note.path,
+        lineNumber: task.lineNumber,
+    };
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as remotes from '../functions/remoteHelpers.js';
+import * as templates from '../functions/templates.js';
+import * as output from '../functions/output.js';
+
+export default function templateCommand(program) {
+    const template = program.command('template').description('Manage note templates used by "note add --template"');
+
+    // List templates command
+    template
+        .command('list')
+        .description('List the templates available in the current location')
+        .action(async () => {
+            try {
+                const available = templates.listTemplates(process.cwd());
+                output.setResult(available);
+                if (available.length === 0) {
+                    console.log(chalk.yellow('No templates found.'));
+                    return;
+                }
+
+                console.log(chalk.blue('Templates:'));
+                available.forEach((entry) => {
+                    const overrides = entry.overrides.length > 0 ? chalk.gray(` (overrides ${entry.overrides.join(', ')})`) : '';
+                    console.log(`${chalk.green(entry.name)} ${chalk.gray(`[${entry.scope}]`)}${overrides}`);
+                });
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing templates: ') + error.message);
+            }
+        });
+
+    // Show template command
+    template
+        .command('show <name>')
+        .description('Print a template and where it was found')
+        .action(async (name) => {
+            try {
+                const resolved = templates.resolveTemplate(name, process.cwd());
+                if (!resolved) {
+                    output.error(chalk.red(`✖ Error: Template '${name}' does not exist.`));
+                    return;
+                }
+
+                console.log(chalk.blue(`${resolved.name} [${resolved.scope}] ${resolved.path}`));
+                console.log(fs.readFileSync(resolved.path, 'utf8'));
+            } catch (error) {
+                output.error(chalk.red('✖ Error showing template: ') + error.message);
+            }
+        });
+
+    // Add template command
+    template
+        .command('add <name>')
+        .description('Add a template to the current workspace (or to the Noted repository root with --root)')
+        .option('--from <file>', 'Use the content of an existing file as the template')
+        .option('--root', 'Add the template to the Noted repository root so every workspace can use it')
+        .addHelpText('after', `
+Templates can use these variables: {{title}}, {{date}}, {{time}}, {{weekday}}, {{workspace}}, {{folder}}, {{author}}
+
+Examples:
+    $ noted template add meeting
+    $ noted template add standup --from ~/standup.md
+    $ noted template add incident --root
+`)
+        .action(async (name, options) => {
+            try {
+                const currentDir = process.cwd();
+                const notedRoot = getters.getNotedRepoRoot(currentDir);
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const workspacePath = getters.getWorkspacePath(currentDir);
+                const basePath = options.root || !workspacePath ? notedRoot : workspacePath;
+                const templatesDir = path.join(basePath, '.noted', 'templates');
+                const fileName = name.endsWith('.md') ? name : `${name}.md`;
+                const templatePath = path.join(templatesDir, fileName);
+
+                if (fs.existsSync(templatePath)) {
+                    output.error(chalk.red(`✖ Error: Template '${name}' already exists at ${templatePath}.`));
+                    return;
+                }
+
+                let content = '# {{title}}\n';
+                if (options.from) {
+                    const fromPath = path.resolve(getters.getInvocationDir(), options.from);
+                    if (!fs.existsSync(fromPath)) {
+                        output.error(chalk.red(`✖ Error: File '${options.from}' does not exist.`));
+                        return;
+                    }
+                    content = fs.readFileSync(fromPath, 'utf8');
+                }
+
+                fs.mkdirSync(templatesDir, { recursive: true });
+                fs.writeFileSync(templatePath, content);
+                console.log(chalk.green(`✔ Created template: ${templatePath}`));
+
+                await remotes.commitChanges(templatesDir, `Add template: ${fileName.replace(/\.md$/, '')}`);
+            } catch (error) {
+                output.error(chalk.red('✖ Error adding template: ') + error.message);
+            }
+        });
+}
@@ -0,0 +1,89 @@
+import chalk from 'chalk';
+import * as getters from '../functions/getters.js';
+import * as remotes from '../functions/remoteHelpers.js';
+import * as searchIndex from '../functions/searchIndex.js';
+import * as trash from '../functions/trash.js';
+import * as output from '../functions/output.js';
+
+const MAX_FILES_SHOWN = 5;
+
+export default function trashCommand(program) {
+    const trashCmd = program.command('trash').description('List and recover deleted notes, folders and workspaces');
+
+    // List trash command
+    trashCmd
+        .command('list')
+        .description('List deletions found in the history of the parent repository and every workspace')
+        .option('-w, --workspace <name>', 'Only list deletions from the given workspace')
+        .action(async (options) => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                let entries = await trash.listTrash(notedRoot);
+                if (options.workspace) {
+                    entries = entries.filter(entry => entry.workspace === options.workspace
+                        || entry.workspaces.some(workspace => workspace.name === options.workspace));
+                }
+
+                output.setResult(entries);
+                if (entries.length === 0) {
+                    console.log(chalk.yellow('Trash is empty.'));
+                    return;
+                }
+
+                entries.forEach((entry) => {
+                    const date = new Date(entry.date).toISOString().slice(0, 16).replace('T', ' ');
+                    console.log(`${chalk.yellow(entry.id)} ${chalk.gray(date)} ${chalk.blue(`[${entry.type}]`)} ${entry.message}`);
+
+                    const items = [...entry.workspaces.map(workspace => `${workspace.name}/ (workspace)`), ...entry.files];
+                    items.slice(0, MAX_FILES_SHOWN).forEach(item => console.log(chalk.gray(`    ${item}`)));
+                    if (items.length > MAX_FILES_SHOWN) {
+                        console.log(chalk.gray(`    … ${items.length - MAX_FILES_SHOWN} more`));
+                    }
+                });
+                console.log(chalk.gray('\nRestore an entry with "noted trash restore <id>".'));
+            } catch (error) {
+                output.error(chalk.red('✖ Error listing trash: ') + error.message);
+            }
+        });
+
+    // Restore from trash command
+    trashCmd
+        .command('restore <id>')
+        .description('Restore a deleted note, folder or workspace listed by "noted trash list"')
+        .action(async (id) => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const entries = await trash.listTrash(notedRoot);
+                const entry = entries.find(candidate => candidate.id === id);
+                if (!entry) {
+                    output.error(chalk.red(`✖ Error: No trash entry '${id}'. Run "noted trash list" to see what can be restored.`));
+                    return;
+                }
+
+                for (const workspace of entry.workspaces) {
+                    await trash.restoreWorkspace(notedRoot, workspace);
+                    console.log(chalk.green(`✔ Restored workspace: ${workspace.name}`));
+                }
+
+                const files = await trash.restoreFiles(entry);
+                files.forEach(file => console.log(chalk.green(`✔ Restored: ${file}`)));
+
+                await remotes.commitChanges(entry.repoPath, `Restore from trash: ${entry.message} (${entry.hash.slice(0, 7)})`);
+
+                // Keep the search index current
+                await searchIndex.refreshIndexFor(entry.repoPath);
+            } catch (error) {
+                output.error(chalk.red('✖ Error restoring from trash: ') + error.message);
+            }
+        });
+}
@@ -5,6 +5,8 @@ import path from 'path';
 import * as getters from '../functions/getters.js'
 import * as validations from '../functions/validations.js'
 import * as remotes from '../functions/remoteHelpers.js'
+import * as searchIndex from '../functions/searchIndex.js'
+import * as output from '../functions/output.js';
 
 // Helper function to find the root of the workspace (submodule)
 async function findWorkspaceRoot(currentPath) {
@@ -17,37 +19,57 @@ async function findWorkspaceRoot(currentPath) {
     }
 }
 
-// Helper function to get all submodules in the parent repository
-function getSubmodules(parentRepoPath) {
-    const gitmodulesPath = path.join(parentRepoPath, '.gitmodules');
-
-    // Check if the .gitmodules file exists
-    if (!fs.existsSync(gitmodulesPath)) {
-        console.log('No submodules found. .gitmodules file does not exist.');
-        return [];
+// Commit and push one repository. A repository whose commit fails is not pushed; the caller carries on with the others.
+async function updateRepository(repoPath, commitMessage, label) {
+    const git = simpleGit(repoPath);
+    const outcome = { name: path.basename(repoPath), committed: false, pushed: false, error: null };
+
+    // Check for changes and unpushed commits
+    const status = await git.status();
+    const hasChanges = !status.isClean();
+    const hasUnpushedCommits = status.ahead > 0;
+
+    if (hasChanges) {
+        try {
+            await remotes.commitAll(repoPath, commitMessage);
+            outcome.committed = true;
+        } catch (error) {
+            outcome.error = error.message;
+            console.error(chalk.red(`✖ Error committing changes in ${label}, so it was not pushed: ${error.message}`));
+            return outcome;
+        }
+    } else {
+        console.log(chalk.yellow(`⚠ No changes to commit in ${label}.`));
     }
 
-    const gitmodulesContent = fs.readFileSync(gitmodulesPath, 'utf8');
-    const submodulePaths = [];
-
-    // Regex to capture paths from .gitmodules
-    const regex = /path\s*=\s*(.+)/g;
-    let match;
-
-    // Iterate through all matches of "path = ..." in the .gitmodules file
-    while ((match = regex.exec(gitmodulesContent)) !== null) {
-        const submoduleRelativePath = match[1].trim(); // Extract and trim the submodule path
-        const submoduleAbsolutePath = path.join(parentRepoPath, submoduleRelativePath);
-        submodulePaths.push(submoduleAbsolutePath);
+    // Check if the repository has a remote origin
+    const gitRemotes = await git.getRemotes(true);
+    if (!gitRemotes.some(remote => remote.name === 'origin')) {
+        console.log(chalk.yellow(`⚠ ${label[0].toUpperCase()}${label.slice(1)} has no remote origin. Skipping push.`));
+        return outcome;
     }
-
-    if (submodulePaths.length === 0) {
-        console.log('No submodules found in .gitmodules.');
+    if (hasUnpushedCommits || hasChanges) {
+        try {
+            await git.push('origin', 'main');
+            outcome.pushed = true;
+            console.log(chalk.green(`✔ Pushed changes in ${label} to origin.`));
+        } catch (error) {
+            outcome.error = error.message;
+            console.error(chalk.red(`✖ Error pushing ${label}: ${error.message}`));
+        }
     } else {
-        console.log(`Found ${submodulePaths.length} submodule(s).`);
+        console.log(chalk.yellow(`⚠ No new commits to push in ${label}.`));
     }
+    return outcome;
+}
 
-    return submodulePaths;
+// Record the outcome of every repository, and fail when any of them could not be committed or pushed
+function reportResult(workspaces, parent) {
+    const failed = [...workspaces, parent].filter(outcome => outcome.error).map(outcome => outcome.name);
+    output.setResult({ workspaces, parent, failed });
+    if (failed.length > 0) {
+        output.fail(output.EXIT_CODES.GIT);
+    }
 }
 
 export default function updateCommand(program) {
@@ -60,7 +82,7 @@ export default function updateCommand(program) {
             const workspaceRoot = await findWorkspaceRoot(currentRepoPath);
 
             if (!workspaceRoot) {
-                console.error(chalk.red('✖ Error: Could not find the root of the workspace. Make sure you are inside a workspace.'));
+                output.error(chalk.red('✖ Error: Could not find the root of the workspace. Make sure you are inside a workspace.'), output.EXIT_CODES.NOT_IN_REPOSITORY);
                 return;
             }
 
@@ -70,159 +92,56 @@ export default function updateCommand(program) {
                     // Ensure we are in the parent repository
                     const parentRepoPath = workspaceRoot;
                     if (!fs.existsSync(path.join(parentRepoPath, '.notedconfig'))) {
-                        console.error(chalk.red('✖ Error: The --all option can only be run from the main Noted repository.'));
+                        output.error(chalk.red('✖ Error: The --all option can only be run from the main Noted repository.'));
                         return;
                     }
 
                     console.log(chalk.green('✔ Parent repository detected.'));
-                    const submodules = getSubmodules(parentRepoPath);
+                    const submodules = getters.getSubmodules(parentRepoPath);
 
                     if (submodules.length === 0) {
                         console.log(chalk.yellow('⚠ No workspaces (submodules) found in the parent repository.'));
                         return;
                     }
+                    console.log(`Found ${submodules.length} submodule(s).`);
 
                     // Handle changes for each submodule
+                    const workspaces = [];
                     for (const submodulePath of submodules) {
                         console.log(chalk.blue(`Processing workspace: ${path.basename(submodulePath)}`));
-
-                        // Initialize Git in the submodule
-                        const git = simpleGit(submodulePath);
-
-                        // Check for changes and unpushed commits in the submodule
-                        const status = await git.status();
-                        const hasChanges = !status.isClean();
-                        const hasUnpushedCommits = status.ahead > 0;
-
-                        // Check if submodule has a remote origin
-                        const remotes = await git.getRemotes(true);
-                        const hasOrigin = remotes.some(remote => remote.name === 'origin');
-
-                        if (hasChanges) {
-                            // Use commitChanges to handle commits and updates
-                            await commitChanges(submodulePath, `Update workspace: ${path.basename(submodulePath)}`);
-                        } else {
-                            console.log(chalk.yellow(`⚠ No changes to commit in workspace "${path.basename(submodulePath)}".`));
-                        }
-
-                        if (hasOrigin) {
-                            if (hasUnpushedCommits || hasChanges) {
-                                // Push changes to the remote
-                                await git.push('origin', 'main');
-                                console.log(chalk.green(`✔ Pushed changes in workspace "${path.basename(submodulePath)}" to origin.`));
-                            } else {
-                                console.log(chalk.yellow(`⚠ No new commits to push in workspace "${path.basename(submodulePath)}".`));
-                            }
-                        } else {
-                            console.log(chalk.yellow(`⚠ Workspace "${path.basename(submodulePath)}" has no remote origin. Skipping push.`));
-                        }
+                        workspaces.push(await updateRepository(submodulePath, `Update workspace: ${path.basename(submodulePath)}`, `workspace "${path.basename(submodulePath)}"`));
                     }
 
                     // Commit and push changes in the parent repository after all submodules are processed
-                    const parentGit = simpleGit(parentRepoPath);
-
-                    // Check for changes and unpushed commits in the parent repository
-                    const parentStatus = await parentGit.status();
-                    const parentHasChanges = !parentStatus.isClean();
-                    const parentHasUnpushedCommits = parentStatus.ahead > 0;
-
-                    if (parentHasChanges) {
-                        // Use commitChanges to handle commits
-                        await commitChanges(parentRepoPath, `Update workspaces to latest commits`);
-                    } else {
-                        console.log(chalk.yellow('⚠ No changes to commit in parent repository.'));
-                    }
+                    const parent = await updateRepository(parentRepoPath, 'Update workspaces to latest commits', 'parent repository');
+                    reportResult(workspaces, parent);
 
-                    // Check if parent repo has a remote origin
-                    const parentRemotes = await parentGit.getRemotes(true);
-                    const parentHasOrigin = parentRemotes.some(remote => remote.name === 'origin');
-
-                    if (parentHasOrigin) {
-                        if (parentHasUnpushedCommits || parentHasChanges) {
-                            await parentGit.push('origin', 'main');
-                            console.log(chalk.green('✔ Pushed changes in parent repository to origin.'));
-                        } else {
-                            console.log(chalk.yellow('⚠ No new commits to push in parent repository.'));
-                        }
-                    } else {
-                        console.log(chalk.yellow('⚠ Parent repository has no remote origin. Skipping push.'));
-                    }
+                    // Keep the search index current
+                    await searchIndex.refreshIndexFor(parentRepoPath);
 
                 } else {
                     // Check if we are in a submodule (workspace)
-                    const parentRepoPath = await isSubmodule(workspaceRoot);
+                    const parentRepoPath = await validations.isSubmodule(workspaceRoot);
 
                     if (!parentRepoPath) {
-                        console.error(chalk.red('✖ Error: Update can only be run inside a workspace (submodule).'));
+                        output.error(chalk.red('✖ Error: Update can only be run inside a workspace (submodule).'));
                         return;
                     }
 
                     console.log(chalk.green('✔ Workspace detected.'));
 
-                    // Initialize Git in the workspace
-                    const git = simpleGit(workspaceRoot);
-
-                    // Check for changes and unpushed commits in the workspace
-                    const status = await git.status();
-                    const hasChanges = !status.isClean();
-                    const hasUnpushedCommits = status.ahead > 0;
-
-                    // Check if workspace has a remote origin
-                    const remotes = await git.getRemotes(true);
-                    const hasOrigin = remotes.some(remote => remote.name === 'origin');
-
-                    if (hasChanges) {
-                        // Use commitChanges to handle commits and updates
-                        await commitChanges(workspaceRoot, `Update workspace: ${path.basename(workspaceRoot)}`);
-                    } else {
-                        console.log(chalk.yellow('⚠ No changes to commit in the workspace.'));
-                    }
-
-                    if (hasOrigin) {
-                        if (hasUnpushedCommits || hasChanges) {
-                            // Push changes to the remote
-                            await git.push('origin', 'main');
-                            console.log(chalk.green('✔ Pushed changes in workspace to origin.'));
-                        } else {
-                            console.log(chalk.yellow('⚠ No new commits to push in workspace.'));
-                        }
-                    } else {
-                        console.log(chalk.yellow('⚠ Workspace has no remote origin. Skipping push.'));
-                    }
+                    const workspace = await updateRepository(workspaceRoot, `Update workspace: ${path.basename(workspaceRoot)}`, 'the workspace');
 
                     // Commit and push changes in the parent repository
-                    const parentGit = simpleGit(parentRepoPath);
-
-                    // Check for changes and unpushed commits in the parent repository
-                    const parentStatus = await parentGit.status();
-                    const parentHasChanges = !parentStatus.isClean();
-                    const parentHasUnpushedCommits = parentStatus.ahead > 0;
-
-                    if (parentHasChanges) {
-                        // Use commitChanges to handle commits
-                        await commitChanges(parentRepoPath, `Update workspace: ${path.basename(workspaceRoot)} to latest commit`);
-                    } else {
-                        console.log(chalk.yellow('⚠ No changes to commit in parent repository.'));
-                    }
+                    const parent = await updateRepository(parentRepoPath, `Update workspace: ${path.basename(workspaceRoot)} to latest commit`, 'parent repository');
+                    reportResult([workspace], parent);
 
-                    // Check if parent repo has a remote origin
-                    const parentRemotes = await parentGit.getRemotes(true);
-                    const parentHasOrigin = parentRemotes.some(remote => remote.name === 'origin');
-
-                    if (parentHasOrigin) {
-                        if (parentHasUnpushedCommits || parentHasChanges) {
-                            await parentGit.push('origin', 'main');
-                            console.log(chalk.green('✔ Pushed changes in parent repository to origin.'));
-                        } else {
-                            console.log(chalk.yellow('⚠ No new commits to push in parent repository.'));
-                        }
-                    } else {
-                        console.log(chalk.yellow('⚠ Parent repository has no remote origin. Skipping push.'));
-                    }
+                    // Keep the search index current
+                    await searchIndex.refreshIndexFor(workspaceRoot);
                 }
 
             } catch (error) {
-                console.error(chalk.red(`✖ Error during update process: ${error.message}`));
+                output.error(chalk.red(`✖ Error during update process: ${error.message}`), output.EXIT_CODES.GIT);
             }
         });
 }
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { spawn } from 'child_process';
+import * as getters from '../functions/getters.js';
+import * as watch from '../functions/watch.js';
+import * as output from '../functions/output.js';
+
+// Set in the environment of the background watcher started by --detach
+const DETACHED_ENV = 'NOTED_WATCH_DETACHED';
+
+export default function watchCommand(program) {
+    const watchCmd = program
+        .command('watch')
+        .description('Commit note edits made in any editor automatically (the current workspace, or all with --all)')
+        .option('-a, --all', 'Watch every workspace of the Noted repository')
+        .option('--debounce <seconds>', 'Wait this long after the last save before committing', '5')
+        .option('--push-interval <minutes>', 'Also push the workspaces and the parent repository this often')
+        .option('-d, --detach', 'Run the watcher in the background and write its output to .noted/watch/watch.log')
+        .addHelpText('after', `
+Examples:
+    $ noted watch
+    $ noted watch --all --push-interval 15
+    $ noted watch --all --detach
+    $ noted watch status
+    $ noted watch stop
+`)
+        .action(async (options) => {
+            try {
+                const currentDir = process.cwd();
+                const notedRoot = getters.getNotedRepoRoot(currentDir);
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const debounce = Number(options.debounce);
+                const pushInterval = options.pushInterval ? Number(options.pushInterval) : 0;
+                if (!(debounce >= 0) || !(pushInterval >= 0)) {
+                    output.error(chalk.red('✖ Error: --debounce and --push-interval must be positive numbers.'), output.EXIT_CODES.USAGE);
+                    return;
+                }
+
+                const running = watch.readWatchState(notedRoot);
+                if (running) {
+                    output.error(chalk.red(`✖ Error: A watcher is already running (pid ${running.pid}). Stop it with "noted watch stop".`));
+                    return;
+                }
+
+                const currentWorkspace = getters.getWorkspacePath(currentDir);
+                const workspaces = options.all || !currentWorkspace
+                    ? getters.getSubmodules(notedRoot).filter(workspacePath => fs.existsSync(workspacePath))
+                    : [currentWorkspace];
+                if (workspaces.length === 0) {
+                    console.log(chalk.yellow('⚠ No workspaces to watch.'));
+                    return;
+                }
+
+                if (options.detach && !process.env[DETACHED_ENV]) {
+                    // Start the same command again, detached from this terminal. The child is marked through the
+                    // environment rather than by removing --detach from argv, which misses combined flags like -ad.
+                    fs.mkdirSync(watch.getWatchDir(notedRoot), { recursive: true });
+                    const log = fs.openSync(watch.getLogFile(notedRoot), 'a');
+                    const child = spawn(process.execPath, process.argv.slice(1), {
+                        cwd: currentDir,
+                        detached: true,
+                        stdio: ['ignore', log, log],
+                        env: { ...process.env, [DETACHED_ENV]: '1' },
+                    });
+                    child.unref();
+                    console.log(chalk.green(`✔ Watching ${workspaces.length} workspace(s) in the background (pid ${child.pid}).`));
+                    console.log(chalk.green(`✔ Log: ${watch.getLogFile(notedRoot)}. Stop it with "noted watch stop".`));
+                    return;
+                }
+
+                const state = {
+                    pid: process.pid,
+                    startedAt: new Date().toISOString(),
+                    workspaces: workspaces.map(workspacePath => path.basename(workspacePath)),
+                    debounce,
+                    pushInterval,
+                    lastCommit: null,
+                };
+                watch.writeWatchState(notedRoot, state);
+
+                const stop = watch.watchWorkspaces(notedRoot, workspaces, {
+                    debounce: debounce * 1000,
+                    pushInterval: pushInterval * 60 * 1000,
+                    onCommit: (workspace, message) => {
+                        state.lastCommit = { at: new Date().toISOString(), workspace, message };
+                        watch.writeWatchState(notedRoot, state);
+                    },
+                });
+                console.log(chalk.blue(`Watching ${state.workspaces.join(', ')} (pid ${process.pid}). Press Ctrl+C to stop.`));
+
+                // Commit whatever is still pending before exiting
+                let stopping = false;
+                const shutdown = async () => {
+                    if (stopping) {
+                        return;
+                    }
+                    stopping = true;
+                    await stop();
+                    watch.removeWatchState(notedRoot);
+                    console.log(chalk.green('✔ Watcher stopped.'));
+                    process.exit(0);
+                };
+                process.on('SIGINT', shutdown);
+                process.on('SIGTERM', shutdown);
+            } catch (error) {
+                output.error(chalk.red('✖ Error starting watcher: ') + error.message);
+            }
+        });
+
+    // Stop watcher command
+    watchCmd
+        .command('stop')
+        .description('Stop the running watcher after it commits any pending edits')
+        .action(async () => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const state = watch.readWatchState(notedRoot);
+                output.setResult(state ? { running: true, ...state } : { running: false });
+                if (!state) {
+                    console.log(chalk.yellow('No watcher is running.'));
+                    return;
+                }
+
+                process.kill(state.pid, 'SIGTERM');
+                for (let waited = 0; waited < 30000 && watch.isProcessAlive(state.pid); waited += 200) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+                if (watch.isProcessAlive(state.pid)) {
+                    output.error(chalk.red(`✖ Error: The watcher (pid ${state.pid}) did not stop within 30 seconds.`));
+                    return;
+                }
+                watch.removeWatchState(notedRoot);
+                console.log(chalk.green(`✔ Stopped watcher (pid ${state.pid}).`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error stopping watcher: ') + error.message);
+            }
+        });
+
+    // Watcher status command
+    watchCmd
+        .command('status')
+        .description('Show whether a watcher is running, what it watches and its last commit')
+        .action(async () => {
+            try {
+                const notedRoot = getters.getNotedRepoRoot(process.cwd());
+                if (!notedRoot) {
+                    output.notInRepository();
+                    return;
+                }
+
+                const state = watch.readWatchState(notedRoot);
+                if (!state) {
+                    console.log(chalk.yellow('No watcher is running.'));
+                    return;
+                }
+
+                console.log(chalk.green(`✔ Watcher running (pid ${state.pid}) since ${state.startedAt}`));
+                console.log(`  Workspaces: ${state.workspaces.join(', ')}`);
+                console.log(`  Debounce: ${state.debounce}s, push: ${state.pushInterval ? `every ${state.pushInterval} min` : 'off'}`);
+                if (state.lastCommit) {
+                    console.log(`  Last commit: ${state.lastCommit.at} in ${state.lastCommit.workspace}: ${state.lastCommit.message}`);
+                } else {
+                    console.log(chalk.gray('  No commits yet.'));
+                }
+                if (fs.existsSync(watch.getLogFile(notedRoot))) {
+                    console.log(chalk.gray(`  Log: ${watch.getLogFile(notedRoot)}`));
+                }
+            } catch (error) {
+                output.error(chalk.red('✖ Error reading watcher status: ') + error.message);
+            }
+        });
+}
@@ -4,10 +4,14 @@ import path from 'path';
 import fs from 'fs';
 import inquirer from 'inquirer';
 import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
 import * as getters from '../functions/getters.js';
 import * as validations from '../functions/validations.js';
 import * as remotes from '../functions/remoteHelpers.js';
+import * as config from '../functions/config.js';
+import * as crypt from '../functions/crypt.js';
+import * as workspaces from '../functions/workspaces.js';
+import * as output from '../functions/output.js';
+import * as api from '../api.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,10 +26,12 @@ export default function workspaceCommand(program) {
         .option('-n, --name <name>', 'Specify the workspace name (default: "untitled-workspace")')
         .option('-l, --local', 'Initialize as a local workspace')
         .option('-r, --remote [url]', 'Initialize with a remote repository. Use "new" for GitHub creation, or specify a remote URL.')
+        .option('-e, --encrypted', 'Store the workspace\'s notes encrypted in git (asks for a passphrase)')
         .addHelpText('after', `
 Examples:
     $ noted workspace add
     $ noted workspace add --name MyWorkspace --local
+    $ noted workspace add --name Secrets --local --encrypted
     $ noted workspace add --local
     $ noted workspace add --remote
     $ noted workspace add --name MyWorkspace --remote new
@@ -35,30 +41,202 @@ Examples:
             try {
                 // Validate options
                 if (options.local && options.remote) {
-                    console.error(chalk.red('✖ Error: ') + 'You cannot specify both --local and --remote options at the same time.');
+                    output.error(chalk.red('✖ Error: ') + 'You cannot specify both --local and --remote options at the same time.');
                     return;
                 }
 
                 const parentRepoPath = process.cwd();
                 if (!validations.isMainNotedRepo(parentRepoPath)) {
-                    console.error(chalk.red('✖ Error: ') + 'You must be inside the main Noted repository to add a workspace.');
+                    output.error(chalk.red('✖ Error: ') + 'You must be inside the main Noted repository to add a workspace.');
                     return;
                 }
 
                 // Gather all user inputs upfront
+                const defaults = config.readNotedConfig(parentRepoPath).workspace_defaults || {};
                 const workspaceName = await getters.getWorkspaceName(options, parentRepoPath);
-                const repoType = await getters.getRepoType(options);
-                const remoteOption = await getters.getRemoteOption(options, repoType);
+                const repoType = await getters.getRepoType(options, defaults);
+                const remoteOption = await getters.getRemoteOption(options, repoType, defaults);
+                const passphrase = options.encrypted ? await getters.getPassphrase(workspaceName, true) : null;
+
+                // Set up the workspace (local or remote) and add it as a submodule
+                const created = await api.addWorkspace(parentRepoPath, {
+                    name: workspaceName,
+                    remote: remoteOption,
+                    passphrase,
+                    interactive: getters.isInteractive(),
+                });
+                output.setResult(created);
 
-                // Set up and initialize workspace (local or remote)
-                const { git, workspacePath, remoteUrl } = await setupAndInitializeWorkspace(workspaceName, parentRepoPath, repoType, remoteOption);
+                console.log(chalk.green('✔ Workspace initialization complete.'));
+            } catch (error) {
+                output.error(chalk.red('✖ Error initializing workspace: ') + error.message, error.exitCode);
+            }
+        });
 
-                // Add the workspace as a submodule to the parent repository
-                await addWorkspaceSubmodule(parentRepoPath, workspaceName, workspacePath, remoteUrl);
+    // Adopt workspace command
+    workspace
+        .command('adopt <source>')
+        .description('Register an existing git repository (local path or remote URL) as a workspace, keeping its history')
+        .option('-n, --name <name>', 'Specify the workspace name (default: the repository name)')
+        .option('-b, --branch <branch>', 'Branch to check out and track (default: the repository\'s current branch)')
+        .addHelpText('after', `
+Examples:
+    $ noted workspace adopt ~/team-notes
+    $ noted workspace adopt ~/team-notes --name Team
+    $ noted workspace adopt https://github.com/username/notes.git --branch docs
+`)
+        .action(async (source, options) => {
+            try {
+                const parentRepoPath = process.cwd();
+                if (!validations.isMainNotedRepo(parentRepoPath)) {
+                    output.error(chalk.red('✖ Error: ') + 'You must be inside the main Noted repository to adopt a workspace.');
+                    return;
+                }
 
-                console.log(chalk.green('✔ Workspace initialization complete.'));
+                const isRemote = validations.isValidRemote(source);
+                const sourcePath = isRemote ? null : path.resolve(getters.getInvocationDir(), source);
+                const workspaceName = options.name || path.basename(isRemote ? source : sourcePath).replace(/\.git$/, '');
+                const workspacePath = path.join(parentRepoPath, workspaceName);
+
+                // A repository already sitting in the Noted root is adopted in place
+                const inPlace = sourcePath && path.dirname(sourcePath) === parentRepoPath;
+                if (inPlace && workspaceName !== path.basename(sourcePath)) {
+                    output.error(chalk.red('✖ Error: ') + 'A repository inside the Noted root keeps its folder name; move it out first to adopt it under another name.');
+                    return;
+                }
+                if (!inPlace && fs.existsSync(workspacePath)) {
+                    output.error(chalk.red(`✖ Error: Workspace '${workspaceName}' already exists.`));
+                    return;
+                }
+                if (getters.getSubmodules(parentRepoPath).includes(workspacePath)) {
+                    output.error(chalk.red(`✖ Error: '${workspaceName}' is already a workspace.`));
+                    return;
+                }
+
+                // Local repositories are checked before anything is changed; remote ones once they are cloned
+                let originUrl = null;
+                if (sourcePath) {
+                    originUrl = await validateLocalRepository(sourcePath, options.branch);
+                }
+
+                const parentGit = simpleGit(parentRepoPath);
+                // Git 2.38.1 and later refuse to clone submodules from local paths unless the file transport is allowed
+                const addArgs = sourcePath || source.startsWith('file:') ? ['-c', 'protocol.file.allow=always', 'submodule', 'add'] : ['submodule', 'add'];
+                if (options.branch) {
+                    addArgs.push('-b', options.branch);
+                }
+                // An existing repository at the workspace path is registered as-is instead of being cloned
+                const url = inPlace ? (originUrl || workspacePath) : (sourcePath || source);
+                await simpleGit(parentRepoPath, { unsafe: { allowUnsafeProtocolOverride: true } }).raw([...addArgs, url, workspaceName]);
+                console.log(chalk.green(`✔ Added existing repository as submodule: ${workspaceName}`));
+                if (inPlace) {
+                    // Keep its git directory under .git/modules like every other workspace
+                    await parentGit.raw(['submodule', 'absorbgitdirs', '--', workspaceName]);
+                }
+
+                if (isRemote) {
+                    try {
+                        await assertHasNotes(workspacePath);
+                    } catch (error) {
+                        await removeAdoptedSubmodule(parentGit, parentRepoPath, workspaceName);
+                        throw error;
+                    }
+                }
+
+                // A local clone of a hosted repository should sync with the host, not with the folder it came from
+                if (originUrl && !inPlace) {
+                    await simpleGit(workspacePath).remote(['set-url', 'origin', originUrl]);
+                    await parentGit.raw(['config', '-f', '.gitmodules', `submodule.${workspaceName}.url`, originUrl]);
+                    await parentGit.raw(['submodule', 'sync', '--', workspaceName]);
+                    console.log(chalk.green(`✔ Workspace remote set to: ${originUrl}`));
+                }
+
+                // Record where the workspace came from in .notedconfig
+                const notedConfig = config.readNotedConfig(parentRepoPath);
+                notedConfig.adopted_workspaces = {
+                    ...(notedConfig.adopted_workspaces || {}),
+                    [workspaceName]: {
+                        source: originUrl || (isRemote ? source : sourcePath),
+                        branch: options.branch || null,
+                        adoptedAt: new Date().toISOString(),
+                    },
+                };
+                if (crypt.isEncryptedWorkspace(workspacePath)) {
+                    notedConfig.encrypted_workspaces = [...new Set([...(notedConfig.encrypted_workspaces || []), workspaceName])];
+                }
+                config.writeNotedConfig(parentRepoPath, notedConfig);
+
+                await remotes.commitChanges(parentRepoPath, `Adopt workspace: ${workspaceName}`);
+
+                if (crypt.isEncryptedWorkspace(workspacePath)) {
+                    console.log(chalk.yellow(`⚠ Workspace "${workspaceName}" is encrypted. Run "noted crypt unlock ${workspaceName}" to read its notes.`));
+                }
+                console.log(chalk.green('✔ Workspace adoption complete.'));
+            } catch (error) {
+                output.error(chalk.red('✖ Error adopting workspace: ') + error.message);
+            }
+        });
+
+    // Rename workspace command
+    workspace
+        .command('rename <old> <new>')
+        .description('Rename a workspace, its submodule and the links that point into it')
+        .option('--github', 'Also rename the GitHub repository behind the workspace (uses the gh CLI)')
+        .addHelpText('after', `
+Examples:
+    $ noted workspace rename School University
+    $ noted workspace rename Work Job --github
+`)
+        .action(async (oldName, newName, options) => {
+            try {
+                const parentRepoPath = process.cwd();
+                if (!validations.isMainNotedRepo(parentRepoPath)) {
+                    output.error(chalk.red('✖ Error: ') + 'You must be inside the main Noted repository to rename a workspace.');
+                    return;
+                }
+
+                await workspaces.renameWorkspace(parentRepoPath, oldName, newName, { github: options.github });
+                console.log(chalk.green(`✔ Renamed workspace: ${oldName} -> ${newName}`));
             } catch (error) {
-                console.error(chalk.red('✖ Error initializing workspace: ') + error.message);
+                output.error(chalk.red('✖ Error renaming workspace: ') + error.message);
+            }
+        });
+
+    // Archive workspace command
+    workspace
+        .command('archive <name>')
+        .description('Put a workspace away: it leaves the working tree but keeps its full history for "workspace unarchive"')
+        .action(async (workspaceName) => {
+            try {
+                const parentRepoPath = process.cwd();
+                if (!validations.isMainNotedRepo(parentRepoPath)) {
+                    output.error(chalk.red('✖ Error: ') + 'You must be inside the main Noted repository to archive a workspace.');
+                    return;
+                }
+
+                await workspaces.archiveWorkspace(parentRepoPath, workspaceName);
+                console.log(chalk.green(`✔ Archived workspace: ${workspaceName}`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error archiving workspace: ') + error.message);
+            }
+        });
+
+    // Unarchive workspace command
+    workspace
+        .command('unarchive <name>')
+        .description('Bring back an archived workspace')
+        .action(async (workspaceName) => {
+            try {
+                const parentRepoPath = process.cwd();
+                if (!validations.isMainNotedRepo(parentRepoPath)) {
+                    output.error(chalk.red('✖ Error: ') + 'You must be inside the main Noted repository to unarchive a workspace.');
+                    return;
+                }
+
+                await workspaces.unarchiveWorkspace(parentRepoPath, workspaceName);
+                console.log(chalk.green(`✔ Unarchived workspace: ${workspaceName}`));
+            } catch (error) {
+                output.error(chalk.red('✖ Error unarchiving workspace: ') + error.message);
             }
         });
 
@@ -66,13 +244,21 @@ Examples:
     workspace
         .command('delete <name>')
         .description('Delete a workspace inside the parent repository')
-        .action(async (workspaceName) => {
+        .option('-y, --yes', 'Delete without asking for confirmation')
+        .action(async (workspaceName, options) => {
             try {
                 const parentRepoPath = process.cwd();
                 const workspacePath = path.join(parentRepoPath, workspaceName);
 
                 if (!fs.existsSync(workspacePath)) {
-                    console.error(chalk.red(`✖ Error: Workspace '${workspaceName}' does not exist.`));
+                    output.error(chalk.red(`✖ Error: Workspace '${workspaceName}' does not exist.`));
+                    return;
+                }
+
+                // Ask before deleting; the workspace can be recovered with "noted trash"
+                const confirmed = await getters.getConfirmation(options, `Delete workspace '${workspaceName}' and all of its notes?`);
+                if (!confirmed) {
+                    console.log(chalk.yellow('⚠ Deletion cancelled.'));
                     return;
                 }
 
@@ -95,7 +281,7 @@ Examples:
 
                 console.log(chalk.green('✔ Workspace deletion complete.'));
             } catch (error) {
-                console.error(chalk.red('✖ Error deleting workspace: ') + error.message);
+                output.error(chalk.red('✖ Error deleting workspace: ') + error.message);
             }
         });
 
@@ -104,119 +290,93 @@ Examples:
         .command('list')
         .description('List all workspaces (submodules) in the parent repository')
         .option('-a', 'Display all submodule information (hash, branch)')
+        .option('--archived', 'List archived workspaces instead')
         .action(async (options) => {
             try {
-                const parentRepoPath = process.cwd();
-                const parentGit = simpleGit(parentRepoPath);
+                const found = await api.listWorkspaces(process.cwd(), { archived: options.archived });
+                output.setResult(found);
 
-                // Get the list of submodules using git submodule status
-                const submodules = await parentGit.raw(['submodule', 'status']);
+                if (options.archived) {
+                    if (found.length === 0) {
+                        console.log(chalk.yellow('No archived workspaces.'));
+                        return;
+                    }
+                    console.log(chalk.blue('Archived workspaces:'));
+                    found.forEach((workspace) => {
+                        console.log(`${chalk.green(workspace.name)} ${chalk.gray(`(archived ${workspace.archivedAt.slice(0, 10)})`)}`);
+                    });
+                    return;
+                }
 
-                if (submodules.trim().length === 0) {
+                if (found.length === 0) {
                     console.log(chalk.yellow('No workspaces (submodules) found.'));
                     return;
                 }
 
                 console.log(chalk.blue('Workspaces (Submodules):'));
-
-                // Process and display either full output or just the names
-                submodules.split('\n').forEach((line) => {
-                    if (line.trim()) {
-                        const parts = line.trim().split(' ');
-                        const workspaceName = parts[1]; // The second part is the name
-
-                        if (options.a) {
-                            // Display full output (hash, branch, etc.)
-                            console.log(chalk.green(line.trim()));
-                        } else {
-                            // Display only the workspace name
-                            console.log(chalk.green(workspaceName));
-                        }
+                found.forEach((workspace) => {
+                    if (options.a) {
+                        // Display full output (hash, state, branch)
+                        const state = workspace.state === 'current' ? '' : ` [${workspace.state}]`;
+                        console.log(chalk.green(`${workspace.commit} ${workspace.name}${workspace.ref ? ` (${workspace.ref})` : ''}${state}`));
+                    } else {
+                        // Display only the workspace name
+                        console.log(chalk.green(workspace.name));
                     }
                 });
             } catch (error) {
-                console.error(chalk.red('✖ Error listing workspaces: ') + error.message);
+                output.error(chalk.red('✖ Error listing workspaces: ') + error.message, error.exitCode);
             }
         });
 
-    async function setupAndInitializeWorkspace(workspaceName, parentRepoPath, repoType, remoteOption) {
-        const workspacePath = path.join(parentRepoPath, workspaceName);
-
-        // Create workspace directory
-        fs.mkdirSync(workspacePath);
-        console.log(chalk.green('✔ Created workspace directory: ') + chalk.blue(workspaceName));
-
-        // Initialize Git repository
-        const git = simpleGit(workspacePath);
-        await git.init();
-        console.log(chalk.green('✔ Initialized Git repository for workspace: ') + workspaceName);
-
-        // Create README.md and commit initial files
-        const readmeContent = `# ${workspaceName}`;
-        fs.writeFileSync(path.join(workspacePath, 'README.md'), readmeContent);
-        console.log(chalk.green(`✔ Created README.md in workspace: ${workspaceName}`));
-
-        await git.add(['README.md']);
-        await git.commit(`Initial commit: Add README.md to ${workspaceName}`);
-        console.log(chalk.green(`✔ Initial commit in workspace: ${workspaceName}`));
-
-        // Handle remote setup if applicable
-        let remoteUrl = null;
-        if (repoType === 'Remote') {
-            if (remoteOption === 'new') {
-                remoteUrl = await initGithubWorkspace(git, workspaceName, workspacePath);
-            } else if (validations.isValidUrl(remoteOption)) {
-                remoteUrl = await initUrlWorkspace(git, workspaceName, workspacePath, remoteOption);
-            }
+    async function validateLocalRepository(sourcePath, branch) {
+        if (!fs.existsSync(sourcePath)) {
+            throw new Error(`'${sourcePath}' does not exist.`);
         }
 
-        return { git, workspacePath, remoteUrl };
-    }
-
-    async function initGithubWorkspace(git, workspaceName, workspacePath) {
+        const git = simpleGit(sourcePath);
+        let topLevel = '';
         try {
-            // Check GitHub authentication
-            execSync('gh auth status', { stdio: 'ignore' });
+            topLevel = (await git.revparse(['--show-toplevel'])).trim();
         } catch (error) {
-            console.log(chalk.yellow('⚠ You are not authenticated with GitHub CLI.'));
-            execSync('gh auth login', { stdio: 'inherit' });
+            // Not inside a git repository at all
+        }
+        if (path.resolve(topLevel) !== sourcePath) {
+            throw new Error(`'${sourcePath}' is not the root of a git repository.`);
         }
 
-        try {
-            // Create GitHub repository using gh CLI
-            execSync(`gh repo create ${workspaceName} --private --source=. --remote origin --push`, { cwd: workspacePath, stdio: 'ignore' });
-
-            // Get the remote URL
-            const remoteUrl = (await git.getConfig('remote.origin.url')).value;
-            console.log(chalk.green(`✔ GitHub repository created: ${remoteUrl}`));
+        const revision = branch || 'HEAD';
+        const resolved = (await git.raw(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`])).trim();
+        if (!resolved) {
+            throw new Error(branch ? `Branch '${branch}' does not exist in '${sourcePath}'.` : `'${sourcePath}' has no commits yet.`);
+        }
+        if (branch && !(await git.raw(['branch', '--list', branch])).trim()) {
+            throw new Error(`'${branch}' is not a local branch of '${sourcePath}'.`);
+        }
 
-            return remoteUrl;
-        } catch (error) {
-            console.log(chalk.red(`✖ Error creating GitHub repository ${workspaceName}.`));
-            throw error;
+        const files = (await git.raw(['ls-tree', '-r', '--name-only', resolved])).split('\n');
+        if (!files.some(file => file.endsWith('.md'))) {
+            throw new Error(`'${sourcePath}' has no Markdown notes on ${branch ? `branch '${branch}'` : 'its current branch'}.`);
         }
-    }
 
-    async function initUrlWorkspace(git, workspaceName, workspacePath, remoteUrl) {
-        await git.addRemote('origin', remoteUrl);
-        console.log(chalk.green(`✔ Added remote URL: ${remoteUrl}`));
-        return remoteUrl;
+        const remotesList = await git.getRemotes(true);
+        const origin = remotesList.find(remote => remote.name === 'origin');
+        return origin ? origin.refs.fetch : null;
     }
 
-    async function addWorkspaceSubmodule(parentRepoPath, workspaceName, workspacePath, remoteUrl) {
-        const parentGit = simpleGit(parentRepoPath);
-
-        if (remoteUrl) {
-            // Use remote URL if available
-            await parentGit.raw(['submodule', 'add', remoteUrl, workspaceName]);
-            console.log(chalk.green(`✔ Added remote workspace as submodule: ${workspaceName}`));
-        } else {
-            // Use local path if it's a local workspace
-            await parentGit.raw(['submodule', 'add', workspacePath, workspaceName]);
-            console.log(chalk.green(`✔ Added local workspace as submodule: ${workspaceName}`));
+    async function assertHasNotes(workspacePath) {
+        const files = (await simpleGit(workspacePath).raw(['ls-files'])).split('\n');
+        if (!files.some(file => file.endsWith('.md'))) {
+            throw new Error('The repository has no Markdown notes.');
         }
+    }
 
-        // Commit the addition of the submodule in the parent repository
-        await remotes.commitChanges(parentRepoPath, `Add workspace: ${workspaceName}`);
+    // Undo a "git submodule add" whose repository turned out not to be usable as a workspace
+    async function removeAdoptedSubmodule(parentGit, parentRepoPath, workspaceName) {
+        await parentGit.raw(['rm', '-f', '-q', workspaceName]);
+        const gitDir = (await parentGit.revparse(['--absolute-git-dir'])).trim();
+        fs.rmSync(path.join(gitDir, 'modules', workspaceName), { recursive: true, force: true });
+        fs.rmSync(path.join(parentRepoPath, workspaceName), { recursive: true, force: true });
+        await parentGit.raw(['config', '--remove-section', `submodule.${workspaceName}`]).catch(() => {});
     }
 }
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// Git filter, diff and merge drivers of encrypted workspaces, registered in their git config by "noted crypt unlock".
+// Kept apart from index.js so git does not load every command for the files it filters.
+import { runCryptFilter } from './functions/cryptFilter.js';
+
+runCryptFilter(process.argv.slice(2)).catch((error) => {
+    process.stderr.write(`noted: ${error.message}\n`);
+    process.exitCode = 1;
+});
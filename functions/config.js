@@ -0,0 +1,18 @@
+import fs from 'fs';
+import path from 'path';
+
+// Read the .notedconfig file of a Noted repository
+export function readNotedConfig(notedRoot) {
+    const configPath = path.join(notedRoot, '.notedconfig');
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read .notedconfig: ${error.message}`);
+    }
+}
+
+// Write the .notedconfig file of a Noted repository (the caller commits it)
+export function writeNotedConfig(notedRoot, config) {
+    const configPath = path.join(notedRoot, '.notedconfig');
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+}
@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MAGIC = 'NOTED-ENCRYPTED v1\n';
+const FILTER_NAME = 'noted-crypt';
+const FILTER_BIN = 'noted-crypt-filter';
+const CHECK_VALUE = 'noted-crypt-check';
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// The only files of an encrypted workspace stored in clear: git and "noted crypt unlock" need them before any key exists.
+// Everything else, notes and attachments alike, goes through the filter.
+const CLEAR_FILES = ['.gitattributes', '.noted/crypt.json'];
+const GITATTRIBUTES = [
+    `* filter=${FILTER_NAME} diff=${FILTER_NAME} merge=${FILTER_NAME}`,
+    ...CLEAR_FILES.map(file => `/${file} !filter !diff !merge`),
+].join('\n');
+
+// Settings committed with the workspace; the salt is not secret, the passphrase and key never leave this machine
+function getCryptConfigPath(workspacePath) {
+    return path.join(workspacePath, '.noted', 'crypt.json');
+}
+
+export function isEncryptedWorkspace(workspacePath) {
+    return fs.existsSync(getCryptConfigPath(workspacePath));
+}
+
+// The derived key is cached inside the workspace's git directory while it is unlocked
+async function getKeyPath(workspacePath) {
+    const gitDir = (await simpleGit(workspacePath).revparse(['--absolute-git-dir'])).trim();
+    return path.join(gitDir, 'noted-crypt', 'key');
+}
+
+export async function isUnlocked(workspacePath) {
+    return fs.existsSync(await getKeyPath(workspacePath));
+}
+
+function deriveKey(passphrase, salt) {
+    const derived = crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), 64, SCRYPT_PARAMS);
+    return { encKey: derived.subarray(0, 32), macKey: derived.subarray(32) };
+}
+
+function checkValue(key) {
+    return crypto.createHmac('sha256', key.macKey).update(CHECK_VALUE).digest('hex');
+}
+
+export async function loadKey(workspacePath) {
+    const keyPath = await getKeyPath(workspacePath);
+    if (!fs.existsSync(keyPath)) {
+        return null;
+    }
+    const raw = Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+    return { encKey: raw.subarray(0, 32), macKey: raw.subarray(32) };
+}
+
+async function storeKey(workspacePath, key) {
+    const keyPath = await getKeyPath(workspacePath);
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyPath, Buffer.concat([key.encKey, key.macKey]).toString('hex'), { mode: 0o600 });
+}
+
+export function isEncrypted(content) {
+    return Buffer.from(content).subarray(0, MAGIC.length).toString('utf8') === MAGIC;
+}
+
+// AES-256-GCM with the nonce taken from an HMAC of the plaintext: the same note always encrypts to the
+// same bytes, so git does not see unchanged notes as modified
+export function encrypt(plaintext, key) {
+    const data = Buffer.from(plaintext);
+    const iv = crypto.createHmac('sha256', key.macKey).update(data).digest().subarray(0, 12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.encKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    return Buffer.from(`${MAGIC}${payload}\n`);
+}
+
+export function decrypt(content, key) {
+    const payload = Buffer.from(Buffer.from(content).subarray(MAGIC.length).toString('utf8').trim(), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key.encKey, payload.subarray(0, 12));
+    decipher.setAuthTag(payload.subarray(12, 28));
+    try {
+        return Buffer.concat([decipher.update(payload.subarray(28)), decipher.final()]);
+    } catch (error) {
+        throw new Error('Could not decrypt note: wrong key or tampered content.');
+    }
+}
+
+// The installed "noted-crypt-filter" keeps the git config valid when Noted is moved or reinstalled;
+// a checkout that is not installed falls back to the script's absolute path
+function getFilterCommand() {
+    const installed = (process.env.PATH || '').split(path.delimiter).some(dir => dir && fs.existsSync(path.join(dir, FILTER_BIN)));
+    return installed ? FILTER_BIN : `"${process.execPath}" "${path.join(__dirname, '..', 'crypt-filter.js')}"`;
+}
+
+// Register the filter, diff and merge drivers for every encrypted file. The filter is one long-running process
+// per git command rather than one per file.
+async function configureFilters(workspacePath) {
+    const git = simpleGit(workspacePath);
+    const command = getFilterCommand();
+    // Per-file commands written by earlier versions
+    for (const key of ['clean', 'smudge']) {
+        await git.raw(['config', '--unset-all', `filter.${FILTER_NAME}.${key}`]).catch(() => {});
+    }
+    await git.addConfig(`filter.${FILTER_NAME}.process`, `${command} process`);
+    await git.addConfig(`filter.${FILTER_NAME}.required`, 'true');
+    await git.addConfig(`diff.${FILTER_NAME}.textconv`, `${command} textconv`);
+    await git.addConfig(`merge.${FILTER_NAME}.name`, 'Merge of decrypted Noted files');
+    await git.addConfig(`merge.${FILTER_NAME}.driver`, `${command} merge %O %A %B %L`);
+}
+
+// Set up encryption in a new workspace before anything is committed to it
+export async function initWorkspaceEncryption(workspacePath, passphrase) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = deriveKey(passphrase, salt);
+
+    fs.mkdirSync(path.dirname(getCryptConfigPath(workspacePath)), { recursive: true });
+    fs.writeFileSync(getCryptConfigPath(workspacePath), JSON.stringify({
+        version: 1,
+        cipher: 'aes-256-gcm',
+        kdf: 'scrypt',
+        salt,
+        check: checkValue(key),
+    }, null, 2));
+    fs.writeFileSync(path.join(workspacePath, '.gitattributes'), `${GITATTRIBUTES}\n`);
+
+    await configureFilters(workspacePath);
+    await storeKey(workspacePath, key);
+}
+
+function isClearFile(file) {
+    return CLEAR_FILES.includes(file.split(path.sep).join('/'));
+}
+
+function readTrackedFiles(git) {
+    return git.raw(['ls-files', '-z']).then(output => output.split('\0').filter(file => file.trim() && !isClearFile(file)));
+}
+
+// Write the files again through the smudge filter, which decrypts them only while the key is present.
+// Removing them first makes git rewrite them and refresh the index.
+async function checkoutFiles(git, workspacePath, files) {
+    if (files.length === 0) {
+        return;
+    }
+    files.forEach(file => fs.rmSync(path.join(workspacePath, file), { force: true }));
+    await git.raw(['checkout', '--', ...files]);
+}
+
+// Derive the key from the passphrase, cache it and decrypt every file into the working tree
+export async function unlockWorkspace(workspacePath, passphrase) {
+    const config = JSON.parse(fs.readFileSync(getCryptConfigPath(workspacePath), 'utf8'));
+    const key = deriveKey(passphrase, config.salt);
+    if (checkValue(key) !== config.check) {
+        throw new Error('Wrong passphrase.');
+    }
+
+    await configureFilters(workspacePath);
+    await storeKey(workspacePath, key);
+
+    const git = simpleGit(workspacePath);
+    const files = await readTrackedFiles(git);
+    await checkoutFiles(git, workspacePath, files);
+    return files.length;
+}
+
+// Forget the key and put the encrypted files back into the working tree
+export async function lockWorkspace(workspacePath) {
+    const git = simpleGit(workspacePath);
+    const status = await git.status();
+    if (!status.isClean()) {
+        throw new Error('The workspace has uncommitted changes. Commit them (e.g. "noted update") before locking.');
+    }
+
+    fs.rmSync(path.dirname(await getKeyPath(workspacePath)), { recursive: true, force: true });
+
+    const files = await readTrackedFiles(git);
+    await checkoutFiles(git, workspacePath, files);
+    return files.length;
+}
+
+// Clean and smudge one file with an already loaded key (null while locked).
+// Clean refuses to let plaintext through while the workspace is locked.
+export function filterContent(mode, input, key, filePath) {
+    if (mode === 'clean') {
+        if (isEncrypted(input)) {
+            return input;
+        }
+        if (!key) {
+            throw new Error(`Workspace is locked; refusing to store "${filePath || 'note'}" unencrypted. Run "noted crypt unlock".`);
+        }
+        return encrypt(input, key);
+    }
+
+    if (mode === 'smudge') {
+        if (!key || !isEncrypted(input)) {
+            return input;
+        }
+        try {
+            return decrypt(input, key);
+        } catch (error) {
+            // Not one encrypted file, e.g. git's line merge of two of them; "noted sync" resolves it
+            return input;
+        }
+    }
+
+    throw new Error(`Unknown filter mode '${mode}'.`);
+}
+
+// Git filter entry points for a single file, run from the workspace
+export async function runFilter(mode, input, filePath) {
+    const workspacePath = process.cwd();
+    const key = await loadKey(workspacePath);
+
+    if (mode === 'textconv') {
+        const content = fs.readFileSync(filePath);
+        return key && isEncrypted(content) ? decrypt(content, key) : content;
+    }
+
+    return filterContent(mode, input, key, filePath);
+}
+
+// Decrypt a file read straight from git (e.g. a conflict stage), keeping it as bytes
+export async function decryptBlob(workspacePath, content) {
+    if (!isEncrypted(content)) {
+        return content;
+    }
+    const key = await loadKey(workspacePath);
+    if (!key) {
+        throw new Error('This workspace is locked. Run "noted crypt unlock" first.');
+    }
+    return decrypt(content, key);
+}
+
+// Decrypt a note read straight from git (e.g. "git show"), when possible
+export async function decryptIfNeeded(workspacePath, content) {
+    if (!isEncrypted(content)) {
+        return content;
+    }
+    return (await decryptBlob(workspacePath, content)).toString('utf8');
+}
+
+// Three-way merge of decrypted contents with "git merge-file". Labels name the two sides in the conflict markers.
+export function mergeContent(ours, base, theirs, { labels = ['ours', 'theirs'], markerSize = 7 } = {}) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noted-merge-'));
+    try {
+        const files = Object.entries({ ours, base, theirs }).map(([name, content]) => {
+            const file = path.join(tempDir, name);
+            fs.writeFileSync(file, content || '');
+            return file;
+        });
+        const result = spawnSync('git', ['merge-file', '-p', `--marker-size=${markerSize}`, '-L', labels[0], '-L', 'base', '-L', labels[1], ...files]);
+        // The exit status is the number of conflicts, or negative (above 127 here) when merge-file failed
+        if (result.error || result.status === null || result.status > 127) {
+            throw new Error(`git merge-file failed: ${result.error ? result.error.message : result.stderr.toString().trim()}`);
+        }
+        return { content: result.stdout, clean: result.status === 0 };
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Paths (relative to the workspace) that git would store as they are because .gitattributes does not send them
+// through the filter, e.g. attachments in a workspace set up when only notes were encrypted
+export function findClearPaths(workspacePath, relativePaths) {
+    const paths = relativePaths.map(file => file.split(path.sep).join('/')).filter(file => !isClearFile(file));
+    if (paths.length === 0) {
+        return [];
+    }
+    const result = spawnSync('git', ['check-attr', '-z', '--stdin', 'filter'], {
+        cwd: workspacePath,
+        input: paths.join('\0'),
+        encoding: 'utf8',
+    });
+    if (result.status !== 0) {
+        throw new Error(`Could not read the attributes of the workspace: ${result.stderr.trim()}`);
+    }
+
+    // -z output is path, attribute, value for every path
+    const fields = result.stdout.split('\0');
+    const clear = [];
+    for (let index = 0; index + 2 < fields.length; index += 3) {
+        if (fields[index + 2] !== FILTER_NAME) {
+            clear.push(fields[index]);
+        }
+    }
+    return clear;
+}
+
+// Called before committing: an encrypted workspace must be unlocked, and every staged file must be ciphertext.
+// This also catches attachments in workspaces whose .gitattributes predates filtering every file.
+export async function assertNothingInClear(repoPath) {
+    if (!isEncryptedWorkspace(repoPath)) {
+        return;
+    }
+    const git = simpleGit(repoPath);
+    if (!(await loadKey(repoPath))) {
+        throw new Error('This workspace is encrypted and locked. Run "noted crypt unlock" before committing.');
+    }
+
+    const staged = (await git.raw(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMR']))
+        .split('\0').filter(file => file.trim() && !isClearFile(file));
+    for (const file of staged) {
+        const blob = await git.binaryCatFile(['blob', `:${file}`]);
+        if (!isEncrypted(blob)) {
+            await git.raw(['reset', '-q', '--', file]);
+            throw new Error(`Refusing to commit "${file}" unencrypted. Check the workspace's .gitattributes.`);
+        }
+    }
+}
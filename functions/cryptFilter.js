@@ -0,0 +1,165 @@
+import fs from 'fs';
+import { loadKey, filterContent, runFilter, isEncrypted, encrypt, decrypt, mergeContent } from './crypt.js';
+
+// Git's long-running filter protocol (gitattributes(5), "Long Running Filter Process"): git starts the
+// filter once per command and sends every file through it as pkt-lines, so a checkout of thousands of notes
+// does not start thousands of processes.
+const FLUSH = Symbol('flush');
+const MAX_PACKET_DATA = 65516;
+
+class PacketReader {
+    constructor(stream) {
+        this.iterator = stream[Symbol.asyncIterator]();
+        this.buffer = Buffer.alloc(0);
+    }
+
+    async read(size) {
+        while (this.buffer.length < size) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                return null;
+            }
+            this.buffer = Buffer.concat([this.buffer, value]);
+        }
+        const data = this.buffer.subarray(0, size);
+        this.buffer = this.buffer.subarray(size);
+        return data;
+    }
+
+    // One packet: its data, FLUSH for a flush packet, or null once git closed the pipe
+    async readPacket() {
+        const header = await this.read(4);
+        if (!header) {
+            return null;
+        }
+        const length = parseInt(header.toString('ascii'), 16);
+        return length === 0 ? FLUSH : this.read(length - 4);
+    }
+
+    // Text lines up to the next flush packet, e.g. ["command=smudge", "pathname=note.md"]
+    async readList() {
+        const lines = [];
+        for (;;) {
+            const packet = await this.readPacket();
+            if (packet === null) {
+                return null;
+            }
+            if (packet === FLUSH) {
+                return lines;
+            }
+            lines.push(packet.toString('utf8').replace(/\n$/, ''));
+        }
+    }
+
+    // File content up to the next flush packet
+    async readContent() {
+        const chunks = [];
+        for (;;) {
+            const packet = await this.readPacket();
+            if (packet === null) {
+                throw new Error('Git closed the filter while sending a file.');
+            }
+            if (packet === FLUSH) {
+                return Buffer.concat(chunks);
+            }
+            chunks.push(packet);
+        }
+    }
+}
+
+function writePacket(data) {
+    const payload = Buffer.from(data);
+    process.stdout.write((payload.length + 4).toString(16).padStart(4, '0'));
+    process.stdout.write(payload);
+}
+
+function writeFlush() {
+    process.stdout.write('0000');
+}
+
+function writeList(lines) {
+    lines.forEach(line => writePacket(`${line}\n`));
+    writeFlush();
+}
+
+function writeContent(content) {
+    for (let offset = 0; offset < content.length; offset += MAX_PACKET_DATA) {
+        writePacket(content.subarray(offset, offset + MAX_PACKET_DATA));
+    }
+    writeFlush();
+}
+
+// Answer clean and smudge requests until git closes the pipe. Git runs the filter from the workspace root.
+export async function runFilterProcess() {
+    const reader = new PacketReader(process.stdin);
+    const key = await loadKey(process.cwd());
+
+    const welcome = await reader.readList();
+    if (!welcome || welcome[0] !== 'git-filter-client' || !welcome.includes('version=2')) {
+        throw new Error('Unsupported filter protocol.');
+    }
+    writeList(['git-filter-server', 'version=2']);
+    await reader.readList(); // The capabilities git offers
+    writeList(['capability=clean', 'capability=smudge']);
+
+    for (;;) {
+        const headers = await reader.readList();
+        if (headers === null) {
+            return;
+        }
+        const request = Object.fromEntries(headers.map(line => [line.slice(0, line.indexOf('=')), line.slice(line.indexOf('=') + 1)]));
+        const content = await reader.readContent();
+
+        let output;
+        try {
+            output = filterContent(request.command, content, key, request.pathname);
+        } catch (error) {
+            // Git reports the file as failed and, since the filter is required, stops the command
+            process.stderr.write(`noted: ${error.message}\n`);
+            writeList(['status=error']);
+            continue;
+        }
+        writeList(['status=success']);
+        writeContent(output);
+        writeFlush(); // Keep the status sent above
+    }
+}
+
+// Merge driver: merge the decrypted versions and store the result encrypted, so git never merges ciphertext
+// line by line. Returns git's exit code: 0 when merged cleanly, 1 when the result holds conflict markers or
+// could not be merged at all (locked workspace, binary file), in which case "ours" is left as it is.
+export async function runMergeDriver(basePath, oursPath, theirsPath, markerSize) {
+    const key = await loadKey(process.cwd());
+    if (!key) {
+        return 1;
+    }
+    const [ours, base, theirs] = [oursPath, basePath, theirsPath].map((file) => {
+        const content = fs.readFileSync(file);
+        return isEncrypted(content) ? decrypt(content, key) : content;
+    });
+    if ([ours, base, theirs].some(content => content.includes(0))) {
+        return 1;
+    }
+
+    const merged = mergeContent(ours, base, theirs, { markerSize: parseInt(markerSize, 10) || 7 });
+    fs.writeFileSync(oursPath, encrypt(merged.content, key));
+    return merged.clean ? 0 : 1;
+}
+
+// Entry point of crypt-filter.js: "process" for the filter, "textconv <file>" for the diff driver
+// and "merge <base> <ours> <theirs> <marker size>" for the merge driver
+export async function runCryptFilter([mode, ...args]) {
+    if (mode === 'process') {
+        await runFilterProcess();
+        return;
+    }
+    if (mode === 'textconv') {
+        process.stdout.write(await runFilter(mode, null, args[0]));
+        return;
+    }
+    if (mode === 'merge') {
+        process.exitCode = await runMergeDriver(...args);
+        return;
+    }
+    throw new Error(`Unknown filter mode '${mode}'.`);
+}
@@ -0,0 +1,343 @@
+import fs from 'fs';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { getNotedRepoRoot, getSubmodules, getArchivedWorkspaces } from './getters.js';
+import { readNotedConfig, writeNotedConfig } from './config.js';
+import { commitAll } from './remoteHelpers.js';
+import { pushRepository } from './sync.js';
+
+// Find the parent repository even when its .notedconfig is missing: the superproject of a workspace,
+// or a repository with a .gitmodules file
+export async function findRepositoryRoot(currentDir) {
+    const notedRoot = getNotedRepoRoot(currentDir);
+    if (notedRoot) {
+        return notedRoot;
+    }
+    try {
+        const git = simpleGit(currentDir);
+        const superproject = (await git.raw(['rev-parse', '--show-superproject-working-tree'])).trim();
+        const topLevel = superproject || (await git.revparse(['--show-toplevel'])).trim();
+        return fs.existsSync(path.join(topLevel, '.gitmodules')) ? topLevel : null;
+    } catch (error) {
+        return null; // Not inside a git repository
+    }
+}
+
+async function getOriginUrl(git) {
+    const origin = (await git.getRemotes(true)).find(remote => remote.name === 'origin');
+    return origin ? origin.refs.push || origin.refs.fetch : null;
+}
+
+// The branch a workspace should be on: the remote's default branch, or main
+async function getDefaultBranch(git) {
+    try {
+        const remoteHead = (await git.revparse(['--abbrev-ref', 'origin/HEAD'])).trim();
+        if (remoteHead.startsWith('origin/')) {
+            return remoteHead.slice('origin/'.length);
+        }
+    } catch (error) {
+        // The remote did not advertise a default branch
+    }
+    return 'main';
+}
+
+async function revParse(git, rev) {
+    try {
+        return (await git.raw(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`])).trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function isAncestor(git, ancestor, descendant) {
+    try {
+        return (await git.raw(['merge-base', ancestor, descendant])).trim() === ancestor;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Workspace directories that are git repositories of their own
+function findWorkspaceDirs(notedRoot) {
+    return fs.readdirSync(notedRoot, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && fs.existsSync(path.join(notedRoot, entry.name, '.git')))
+        .map(entry => entry.name);
+}
+
+// Folders holding a .gitkeep next to other files, where it is no longer needed
+function findStrayGitkeeps(dir) {
+    const found = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    if (entries.some(entry => entry.name === '.gitkeep') && entries.some(entry => entry.name !== '.gitkeep')) {
+        found.push(path.join(dir, '.gitkeep'));
+    }
+    for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+            found.push(...findStrayGitkeeps(path.join(dir, entry.name)));
+        }
+    }
+    return found;
+}
+
+// A missing or malformed .notedconfig. Only a missing one is recreated: a malformed one still holds the lists of
+// archived, adopted and encrypted workspaces, the journal settings and the workspace defaults, which a fresh file would drop
+async function checkNotedConfig(notedRoot) {
+    const configPath = path.join(notedRoot, '.notedconfig');
+    if (fs.existsSync(configPath)) {
+        let problem = null;
+        try {
+            const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+                problem = '.notedconfig is malformed: expected a JSON object';
+            }
+        } catch (error) {
+            problem = `.notedconfig is malformed: ${error.message}`;
+        }
+        return problem
+            ? [{
+                check: 'config',
+                message: problem,
+                fix: null,
+                hint: `Repair ${configPath} by hand, or bring back the last committed version with "git checkout -- .notedconfig" in ${notedRoot}.`,
+            }]
+            : [];
+    }
+
+    return [{
+        check: 'config',
+        message: '.notedconfig is missing',
+        fix: async () => {
+            const remoteUrl = await getOriginUrl(simpleGit(notedRoot));
+            writeNotedConfig(notedRoot, {
+                parent_type: remoteUrl ? 'remote' : 'local',
+                remote_type: remoteUrl ? 'url' : null,
+                remote_url: remoteUrl,
+                createdAt: new Date().toISOString(),
+            });
+            try {
+                await commitAll(notedRoot, 'Doctor: recreate .notedconfig');
+            } catch (error) {
+                // Leave the problem in place so the next run still reports it
+                fs.rmSync(configPath);
+                throw error;
+            }
+            return 'Wrote a new .notedconfig';
+        },
+    }];
+}
+
+// The parent's origin should be the remote_url recorded in .notedconfig
+async function checkRemote(notedRoot) {
+    let config;
+    try {
+        config = readNotedConfig(notedRoot);
+    } catch (error) {
+        return []; // Reported by checkNotedConfig
+    }
+
+    const git = simpleGit(notedRoot);
+    const originUrl = await getOriginUrl(git);
+    const recordedUrl = config.remote_url || null;
+    if (originUrl === recordedUrl) {
+        return [];
+    }
+
+    if (!recordedUrl) {
+        return [{
+            check: 'remote',
+            message: `origin is ${originUrl} but .notedconfig has no remote_url`,
+            fix: async () => {
+                writeNotedConfig(notedRoot, { ...config, remote_url: originUrl });
+                try {
+                    await commitAll(notedRoot, 'Doctor: record remote_url in .notedconfig');
+                } catch (error) {
+                    writeNotedConfig(notedRoot, config);
+                    throw error;
+                }
+                return `Recorded ${originUrl} as remote_url`;
+            },
+        }];
+    }
+
+    return [{
+        check: 'remote',
+        message: originUrl
+            ? `origin is ${originUrl} but .notedconfig.remote_url is ${recordedUrl}`
+            : `.notedconfig.remote_url is ${recordedUrl} but there is no origin remote`,
+        fix: async () => {
+            if (originUrl) {
+                await git.remote(['set-url', 'origin', recordedUrl]);
+            } else {
+                await git.addRemote('origin', recordedUrl);
+            }
+            return `Set origin to ${recordedUrl}`;
+        },
+    }];
+}
+
+// Workspaces on disk that .gitmodules does not list, and listed workspaces that are not checked out
+async function checkWorkspaceList(notedRoot) {
+    const issues = [];
+    const listed = getSubmodules(notedRoot, { includeArchived: true }).map(workspacePath => path.relative(notedRoot, workspacePath));
+    const archived = getArchivedWorkspaces(notedRoot);
+    const parentGit = simpleGit(notedRoot);
+
+    for (const name of findWorkspaceDirs(notedRoot).filter(dirName => !listed.includes(dirName))) {
+        const workspacePath = path.join(notedRoot, name);
+        issues.push({
+            check: 'workspaces',
+            message: `${name} is a git repository in the root but is not listed in .gitmodules`,
+            fix: async () => {
+                const originUrl = await getOriginUrl(simpleGit(workspacePath));
+                await parentGit.raw(['submodule', 'add', '--', originUrl || `./${name}`, name]);
+                await parentGit.raw(['submodule', 'absorbgitdirs', '--', name]);
+                await commitAll(notedRoot, `Doctor: register workspace ${name}`);
+                return `Registered ${name} as a workspace`;
+            },
+        });
+    }
+
+    for (const name of listed.filter(listedName => !archived.includes(listedName))) {
+        const workspacePath = path.join(notedRoot, name);
+        if (fs.existsSync(path.join(workspacePath, '.git'))) {
+            continue;
+        }
+        issues.push({
+            check: 'workspaces',
+            message: `${name} is listed in .gitmodules but is not checked out`,
+            fix: async () => {
+                await parentGit.raw(['submodule', 'update', '--init', '--', name]);
+                if (!fs.existsSync(path.join(workspacePath, '.git'))) {
+                    throw new Error(`Could not check out ${name}; check its URL in .gitmodules.`);
+                }
+                const git = simpleGit(workspacePath);
+                const branch = await getDefaultBranch(git);
+                await git.raw(['checkout', '-q', '-B', branch]);
+                return `Checked out ${name} on ${branch}`;
+            },
+        });
+    }
+
+    return issues;
+}
+
+// Workspaces left on a detached HEAD, usually by a plain "git submodule update"
+async function checkDetachedHeads(notedRoot) {
+    const issues = [];
+
+    for (const workspacePath of getSubmodules(notedRoot).filter(candidate => fs.existsSync(path.join(candidate, '.git')))) {
+        const name = path.basename(workspacePath);
+        const git = simpleGit(workspacePath);
+        if ((await git.revparse(['--abbrev-ref', 'HEAD'])).trim() !== 'HEAD') {
+            continue;
+        }
+
+        const branch = await getDefaultBranch(git);
+        const head = await revParse(git, 'HEAD');
+        const branchCommit = await revParse(git, `refs/heads/${branch}`);
+        // Only attach when no commit can get lost: the branch is missing, behind HEAD, or ahead of it
+        const canAttach = !branchCommit || await isAncestor(git, branchCommit, head) || await isAncestor(git, head, branchCommit);
+
+        issues.push({
+            check: 'detached',
+            message: `${name} is on a detached HEAD at ${head.slice(0, 7)}`,
+            fix: canAttach
+                ? async () => {
+                    if (branchCommit && await isAncestor(git, head, branchCommit) && branchCommit !== head) {
+                        await git.raw(['checkout', '-q', branch]);
+                        return `Checked out ${branch} in ${name}; it is ahead of the commit the parent records, so run "noted update --all" to record it`;
+                    }
+                    await git.raw(['checkout', '-q', '-B', branch]);
+                    return `Put ${name} on ${branch} at ${head.slice(0, 7)}`;
+                }
+                : null,
+            hint: canAttach ? null : `Branch ${branch} and HEAD have diverged; check out the right one in ${name} by hand.`,
+        });
+    }
+
+    return issues;
+}
+
+// The parent records workspace commits that no remote branch of the workspace contains (as of the last fetch)
+async function checkUnpushedPointers(notedRoot) {
+    const issues = [];
+    const parentGit = simpleGit(notedRoot);
+
+    for (const workspacePath of getSubmodules(notedRoot).filter(candidate => fs.existsSync(path.join(candidate, '.git')))) {
+        const name = path.basename(workspacePath);
+        const git = simpleGit(workspacePath);
+        if (!(await getOriginUrl(git))) {
+            continue; // Local-only workspaces have nothing to push to
+        }
+
+        const entry = (await parentGit.raw(['ls-tree', 'HEAD', '--', name])).trim();
+        const recorded = entry.split(/\s+/)[2];
+        if (!recorded) {
+            continue; // Not committed in the parent yet
+        }
+
+        if (!(await revParse(git, recorded))) {
+            issues.push({
+                check: 'unpushed',
+                message: `The parent records ${name} at ${recorded.slice(0, 7)}, which is not in the workspace`,
+                fix: null,
+                hint: `Push ${name} from the machine that made the commit, or run "noted sync".`,
+            });
+            continue;
+        }
+
+        const onRemote = (await git.raw(['branch', '-r', '--contains', recorded])).trim();
+        if (onRemote) {
+            continue;
+        }
+
+        const inCurrentBranch = await isAncestor(git, recorded, await revParse(git, 'HEAD'));
+        issues.push({
+            check: 'unpushed',
+            message: `The parent records ${name} at ${recorded.slice(0, 7)}, which was never pushed`,
+            fix: inCurrentBranch
+                ? async () => {
+                    await pushRepository(workspacePath);
+                    return `Pushed ${name}`;
+                }
+                : null,
+            hint: inCurrentBranch ? null : `The commit is not on ${name}'s current branch; push it by hand.`,
+        });
+    }
+
+    return issues;
+}
+
+// .gitkeep files are only needed in empty folders
+async function checkGitkeeps(notedRoot) {
+    const issues = [];
+
+    for (const workspacePath of getSubmodules(notedRoot).filter(candidate => fs.existsSync(candidate))) {
+        const name = path.basename(workspacePath);
+        const stray = findStrayGitkeeps(workspacePath);
+        if (stray.length === 0) {
+            continue;
+        }
+        issues.push({
+            check: 'gitkeep',
+            message: `${name} has ${stray.length} .gitkeep file(s) in folders that are not empty: ${stray.map(file => path.relative(workspacePath, file)).join(', ')}`,
+            fix: async () => {
+                stray.forEach(file => fs.rmSync(file));
+                await commitAll(workspacePath, 'Doctor: remove stray .gitkeep files');
+                return `Removed ${stray.length} .gitkeep file(s) from ${name}`;
+            },
+        });
+    }
+
+    return issues;
+}
+
+export const CHECKS = [
+    { name: 'config', label: '.notedconfig', run: checkNotedConfig },
+    { name: 'remote', label: 'Parent remote', run: checkRemote },
+    { name: 'workspaces', label: 'Workspaces and .gitmodules', run: checkWorkspaceList },
+    { name: 'detached', label: 'Workspace branches', run: checkDetachedHeads },
+    // Before the push check, since removing .gitkeep files makes new commits
+    { name: 'gitkeep', label: '.gitkeep files', run: checkGitkeeps },
+    { name: 'unpushed', label: 'Pushed workspace commits', run: checkUnpushedPointers },
+];
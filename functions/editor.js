@@ -0,0 +1,32 @@
+import { spawn, spawnSync } from 'child_process';
+
+// $VISUAL/$EDITOR as a command and its arguments ("code --wait"), split the way a shell would for simple quoting
+export function getEditorCommand(fallback) {
+    const editor = process.env.VISUAL || process.env.EDITOR || fallback;
+    if (!editor) {
+        return null;
+    }
+    return [...editor.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(match => match[1] ?? match[2] ?? match[3]);
+}
+
+// Open files in the editor and wait until it is closed. File names (which can come from a remote or an import)
+// are passed as arguments and never go through a shell.
+export function openInEditor(files, fallback = 'vi') {
+    const [command, ...args] = getEditorCommand(fallback);
+    spawnSync(command, [...args, ...files], { stdio: 'inherit' });
+}
+
+// Open a file in $VISUAL/$EDITOR (waiting until it is closed), or in the desktop's default application
+export function openFile(filePath) {
+    if (getEditorCommand()) {
+        openInEditor([filePath]);
+        return;
+    }
+
+    const opener = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'explorer' : 'xdg-open';
+    const child = spawn(opener, [filePath], { detached: true, stdio: 'ignore' });
+    child.on('error', () => {
+        console.log(`Open ${filePath} in your editor, or set $EDITOR.`);
+    });
+    child.unref();
+}
@@ -0,0 +1,47 @@
+import { EXIT_CODES } from './output.js';
+
+// Errors thrown by the API in api.js. Each carries a stable code for programs to check
+// and the exit code the CLI ends with when it reports the error.
+export class NotedError extends Error {
+    constructor(message, { code = 'ERROR', exitCode = EXIT_CODES.ERROR, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.exitCode = exitCode;
+    }
+}
+
+// The directory is not inside a Noted repository, or not inside a workspace where one is needed
+export class NotInRepositoryError extends NotedError {
+    constructor(message = 'Noted repository root not found.', options = {}) {
+        super(message, { code: 'NOT_IN_REPOSITORY', exitCode: EXIT_CODES.NOT_IN_REPOSITORY, ...options });
+    }
+}
+
+// A workspace, note or task that does not exist
+export class NotFoundError extends NotedError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NOT_FOUND', ...options });
+    }
+}
+
+// A repository, workspace or note that is in the way
+export class AlreadyExistsError extends NotedError {
+    constructor(message, options = {}) {
+        super(message, { code: 'ALREADY_EXISTS', ...options });
+    }
+}
+
+// A missing or malformed value, such as an unknown repository type or remote
+export class InvalidArgumentError extends NotedError {
+    constructor(message, options = {}) {
+        super(message, { code: 'INVALID_ARGUMENT', exitCode: EXIT_CODES.USAGE, ...options });
+    }
+}
+
+// A git (or GitHub CLI) operation that failed: commit, push, pull, creating a remote
+export class GitError extends NotedError {
+    constructor(message, options = {}) {
+        super(message, { code: 'GIT', exitCode: EXIT_CODES.GIT, ...options });
+    }
+}
@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import { Marked } from 'marked';
+import { fileURLToPath } from 'url';
+import { parseFrontMatter } from './frontMatter.js';
+import { buildCatalog, parseTarget, resolveLink, noteLinkId } from './links.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ASSETS_DIR = path.join(__dirname, '../template/export');
+
+// Written into every export so a later export can safely replace the folder
+const EXPORT_MARKER = '.noted-export';
+
+// Like WIKI_LINK_REGEX in links.js, but keeping the heading and label so they can be rendered
+const WIKI_LINK_RENDER_REGEX = /\[\[([^\[\]|#]+)(?:#([^\[\]|]*))?(?:\|([^\[\]]*))?\]\]/g;
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// The only raw HTML let through from a note: the markers convertWikiLinks writes for broken links
+const BROKEN_LINK_HTML_REGEX = /^(<span class="broken-link" title="[^"<>]*">|<\/span>)$/;
+
+// Link targets that would run script when followed
+const SCRIPT_URL_REGEX = /^\s*(javascript|vbscript|data):/i;
+
+// GitHub-style heading ids so [[note#Some Heading]] can point at an anchor
+export function slugify(text) {
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/<[^>]*>/g, '')
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .replace(/\s+/g, '-');
+}
+
+// Where a note ends up inside the export (and under "noted serve"), always with forward slashes
+export function getPageUrl(note) {
+    return `${note.workspace}/${note.relativePath.split(path.sep).join('/').replace(/\.md$/, '.html')}`;
+}
+
+// Relative link from one exported page to another
+function relativeUrl(fromUrl, toUrl) {
+    return path.posix.relative(path.posix.dirname(fromUrl), toUrl) || path.posix.basename(toUrl);
+}
+
+// Prefix that leads from a page back to the export root
+function rootPrefix(pageUrl) {
+    const depth = pageUrl.split('/').length - 1;
+    return '../'.repeat(depth);
+}
+
+// Notes can come from anywhere, so HTML written in them is shown as text, never run
+export function createRenderer() {
+    const marked = new Marked();
+    marked.use({
+        renderer: {
+            heading(token) {
+                const text = this.parser.parseInline(token.tokens);
+                return `<h${token.depth} id="${slugify(token.text)}">${text}</h${token.depth}>\n`;
+            },
+            html(token) {
+                if (BROKEN_LINK_HTML_REGEX.test(token.text)) {
+                    return token.text;
+                }
+                return token.block ? `<p>${escapeHtml(token.text.trim())}</p>\n` : escapeHtml(token.text);
+            },
+            link(token) {
+                // false falls back to the default renderer
+                return SCRIPT_URL_REGEX.test(token.href) ? this.parser.parseInline(token.tokens) : false;
+            },
+        },
+    });
+    return marked;
+}
+
+// Turn wiki links into Markdown links to the exported pages, leaving fenced code blocks untouched
+function convertWikiLinks(body, note, pageUrl, catalog) {
+    let inCodeBlock = false;
+
+    return body.split(/\r?\n/).map((line) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            return line;
+        }
+        if (inCodeBlock) {
+            return line;
+        }
+
+        return line.replace(WIKI_LINK_RENDER_REGEX, (raw, target, heading, label) => {
+            const text = (label || target).trim();
+            const linked = resolveLink(parseTarget(target), note, catalog);
+            if (!linked) {
+                return `<span class="broken-link" title="Missing note: ${escapeHtml(target.trim())}">${escapeHtml(text)}</span>`;
+            }
+            const anchor = heading ? `#${slugify(heading)}` : '';
+            return `[${text.replace(/([\[\]])/g, '\\$1')}](<${relativeUrl(pageUrl, getPageUrl(linked))}${anchor}>)`;
+        });
+    }).join('\n');
+}
+
+// Nested workspace → folder → note structure used for the navigation
+export function buildTree(notes) {
+    const root = { name: '', folders: new Map(), notes: [] };
+
+    for (const note of notes) {
+        const segments = [note.workspace, ...(note.folder ? note.folder.split(path.sep) : [])];
+        let node = root;
+        for (const segment of segments) {
+            if (!node.folders.has(segment)) {
+                node.folders.set(segment, { name: segment, folders: new Map(), notes: [] });
+            }
+            node = node.folders.get(segment);
+        }
+        node.notes.push(note);
+    }
+
+    return root;
+}
+
+function renderTree(node, pageUrl, currentNote) {
+    const folders = [...node.folders.values()].sort((a, b) => a.name.localeCompare(b.name));
+    const notes = [...node.notes].sort((a, b) => a.name.localeCompare(b.name));
+
+    const items = [
+        ...folders.map(folder => `<li><strong>${escapeHtml(folder.name)}</strong>${renderTree(folder, pageUrl, currentNote)}</li>`),
+        ...notes.map((note) => {
+            const current = note === currentNote ? ' class="current"' : '';
+            return `<li${current}><a href="${escapeHtml(relativeUrl(pageUrl, getPageUrl(note)))}">${escapeHtml(note.name)}</a></li>`;
+        }),
+    ];
+
+    return `<ul>${items.join('')}</ul>`;
+}
+
+export function renderPage({ siteName, title, pageUrl, tree, currentNote, content }) {
+    const prefix = rootPrefix(pageUrl);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ${escapeHtml(siteName)}</title>
+<link rel="stylesheet" href="${prefix}assets/style.css">
+</head>
+<body data-root="${escapeHtml(prefix)}">
+<nav class="sidebar">
+<a class="site-title" href="${prefix}index.html">${escapeHtml(siteName)}</a>
+<input id="search" type="search" placeholder="Search notes…" autocomplete="off">
+<ul id="search-results"></ul>
+${renderTree(tree, pageUrl, currentNote)}
+</nav>
+<main>
+${content}
+</main>
+<script src="${prefix}search-index.js"></script>
+<script src="${prefix}assets/search.js"></script>
+</body>
+</html>
+`;
+}
+
+// Render the content of a note (or an older version of it) with its breadcrumb and tags,
+// along with the entry for the client-side search
+export function renderNote(note, content, catalog, marked) {
+    const pageUrl = getPageUrl(note);
+    const { data, body } = parseFrontMatter(content);
+    const tags = data.tags || [];
+
+    const html = marked.parse(convertWikiLinks(body, note, pageUrl, catalog));
+    const breadcrumb = [note.workspace, ...(note.folder ? note.folder.split(path.sep) : [])].map(escapeHtml).join(' / ');
+    const tagList = tags.length > 0
+        ? `<div class="tags">${tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')}</div>`
+        : '';
+
+    return {
+        content: `<div class="breadcrumb">${breadcrumb}</div>\n${tagList}\n${html}`,
+        searchEntry: {
+            title: note.name,
+            path: noteLinkId(note),
+            url: pageUrl,
+            tags,
+            text: body.replace(WIKI_LINK_RENDER_REGEX, (raw, target, heading, label) => (label || target).trim()).replace(/\s+/g, ' ').trim(),
+        },
+    };
+}
+
+// Index page content listing every workspace with its notes
+export function renderIndex(notes, tree, siteName) {
+    const workspaces = [...tree.folders.values()].sort((a, b) => a.name.localeCompare(b.name));
+    const sections = workspaces.map((workspace) => {
+        const count = notes.filter(note => note.workspace === workspace.name).length;
+        return `<h2>${escapeHtml(workspace.name)} <small>(${count} note${count === 1 ? '' : 's'})</small></h2>\n${renderTree(workspace, 'index.html', null)}`;
+    });
+    return `<h1>${escapeHtml(siteName)}</h1>\n${sections.join('\n') || '<p>No notes found.</p>'}`;
+}
+
+// Refuse to write into a folder that has content but was not created by a previous export
+export function prepareOutputDir(outDir) {
+    if (fs.existsSync(outDir)) {
+        const entries = fs.readdirSync(outDir);
+        if (entries.length > 0 && !entries.includes(EXPORT_MARKER)) {
+            throw new Error(`'${outDir}' is not empty and was not created by "noted export html".`);
+        }
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, EXPORT_MARKER), '');
+}
+
+// Render the given notes into a static site: one page per note, an index page, and a search index
+export function exportHtml(notes, outDir, { siteName }) {
+    prepareOutputDir(outDir);
+
+    const catalog = buildCatalog(notes);
+    const tree = buildTree(notes);
+    const marked = createRenderer();
+    const searchEntries = [];
+
+    for (const note of notes) {
+        const pageUrl = getPageUrl(note);
+        const rendered = renderNote(note, fs.readFileSync(note.path, 'utf8'), catalog, marked);
+
+        const pagePath = path.join(outDir, ...pageUrl.split('/'));
+        fs.mkdirSync(path.dirname(pagePath), { recursive: true });
+        fs.writeFileSync(pagePath, renderPage({
+            siteName,
+            title: note.name,
+            pageUrl,
+            tree,
+            currentNote: note,
+            content: rendered.content,
+        }));
+
+        searchEntries.push(rendered.searchEntry);
+    }
+
+    fs.writeFileSync(path.join(outDir, 'index.html'), renderPage({
+        siteName,
+        title: 'Index',
+        pageUrl: 'index.html',
+        tree,
+        currentNote: null,
+        content: renderIndex(notes, tree, siteName),
+    }));
+
+    // The search index is a script rather than JSON so it also loads from file:// URLs
+    fs.writeFileSync(path.join(outDir, 'search-index.js'), `window.NOTED_SEARCH = ${JSON.stringify(searchEntries)};\n`);
+
+    fs.mkdirSync(path.join(outDir, 'assets'), { recursive: true });
+    for (const asset of fs.readdirSync(ASSETS_DIR)) {
+        fs.copyFileSync(path.join(ASSETS_DIR, asset), path.join(outDir, 'assets', asset));
+    }
+
+    return { pages: notes.length, workspaces: [...tree.folders.keys()].sort((a, b) => a.localeCompare(b)) };
+}
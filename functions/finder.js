@@ -0,0 +1,60 @@
+import fs from 'fs';
+import { parseFrontMatter } from './frontMatter.js';
+
+const PREVIEW_LINES = 12;
+
+// Score how well a query matches a note path, fzf-style: every query character has to appear in order.
+// Runs of consecutive characters and matches at the start of a word or path segment score higher.
+// Returns null when the query does not match.
+export function fuzzyScore(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) {
+        return 0;
+    }
+
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, position);
+        if (index === -1) {
+            return null;
+        }
+        score += 1;
+        if (index === previous + 1) {
+            score += 5;
+        }
+        if (index === 0 || /[\s/:_.-]/.test(haystack[index - 1])) {
+            score += 3;
+        }
+        previous = index;
+        position = index + 1;
+    }
+
+    // Prefer shorter paths, so "standup" beats "archive/2024/standup-notes"
+    return score - haystack.length / 100;
+}
+
+// Rank entries ({ label, ... }) by how well their label matches the query, best first
+export function rankEntries(entries, query) {
+    return entries
+        .map(entry => ({ entry, score: fuzzyScore(query, entry.label) }))
+        .filter(result => result.score !== null)
+        .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label))
+        .map(result => result.entry);
+}
+
+// First lines of a note's body, cut to the terminal width, for the finder's preview
+export function getPreview(notePath, width = process.stdout.columns || 80) {
+    let body;
+    try {
+        body = parseFrontMatter(fs.readFileSync(notePath, 'utf8')).body;
+    } catch (error) {
+        return '(unreadable)';
+    }
+
+    const lines = body.replace(/^\s*\n/, '').split('\n').slice(0, PREVIEW_LINES)
+        .map(line => (line.length > width - 4 ? `${line.slice(0, width - 5)}…` : line));
+    return lines.join('\n').trimEnd() || '(empty note)';
+}
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import YAML from 'yaml';
+
+// Both fences must sit on lines of their own, so "text---" never closes the block
+const FRONT_MATTER_REGEX = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+// Split a note into its front matter data and its Markdown body. A block that is not YAML key/value pairs,
+// like text between two horizontal rules, is part of the body.
+export function parseFrontMatter(content) {
+    const match = content.match(FRONT_MATTER_REGEX);
+    if (!match) {
+        return { data: {}, body: content, hasFrontMatter: false };
+    }
+
+    let data;
+    try {
+        data = YAML.parse(match[1] || '') || {};
+    } catch (error) {
+        return { data: {}, body: content, hasFrontMatter: false };
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return { data: {}, body: content, hasFrontMatter: false };
+    }
+
+    return { data: normalizeMetadata(data), body: content.slice(match[0].length), hasFrontMatter: true };
+}
+
+// Write front matter data back on top of a Markdown body; lists are kept on a single line
+export function stringifyFrontMatter(data, body) {
+    const doc = new YAML.Document(data);
+    YAML.visit(doc, {
+        Seq(_, node) {
+            node.flow = true;
+        },
+    });
+    return `---\n${doc.toString()}---\n${body}`;
+}
+
+// Make sure list fields are always arrays of strings, whatever was written by hand
+function normalizeMetadata(data) {
+    for (const key of ['tags', 'aliases']) {
+        if (data[key] === undefined || data[key] === null) {
+            continue;
+        }
+        const values = Array.isArray(data[key]) ? data[key] : String(data[key]).split(',');
+        data[key] = values.map(value => String(value).trim()).filter(Boolean);
+    }
+    return data;
+}
+
+// Normalize a tag typed on the command line: no leading "#", no spaces
+export function normalizeTag(tag) {
+    return tag.trim().replace(/^#/, '').replace(/\s+/g, '-');
+}
+
+// Build the front matter for a new note, keeping anything the template already defined
+export function createMetadata(existing = {}, options = {}) {
+    const now = new Date().toISOString();
+    const tags = [...(existing.tags || []), ...(options.tags || [])].map(normalizeTag).filter(Boolean);
+
+    return {
+        ...existing,
+        tags: [...new Set(tags)],
+        status: options.status || existing.status || 'draft',
+        aliases: existing.aliases || [],
+        created: now,
+        updated: now,
+    };
+}
+
+// Read only the metadata of a note file
+export function readMetadata(notePath) {
+    return parseFrontMatter(fs.readFileSync(notePath, 'utf8')).data;
+}
+
+// Change the front matter of a note in place and bump its "updated" timestamp
+export function updateMetadata(notePath, update) {
+    const { data, body } = parseFrontMatter(fs.readFileSync(notePath, 'utf8'));
+    const updated = update(data) || data;
+    updated.updated = new Date().toISOString();
+    fs.writeFileSync(notePath, stringifyFrontMatter(updated, body));
+    return updated;
+}
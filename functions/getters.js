@@ -1,12 +1,37 @@
 import inquirer from 'inquirer';
-import { isValidUrl } from './validations.js';
+import { isValidRemote } from './validations.js';
+import { readNotedConfig } from './config.js';
+import { InvalidArgumentError } from './errors.js';
 import path from 'path';
 import fs from 'fs';
 
+// Set by the global --yes and --no-input options
+const promptSettings = { disabled: false, assumeYes: false };
+
+// Turn off every prompt; with assumeYes, confirmations are answered with yes
+export function disablePrompts({ assumeYes = false } = {}) {
+    promptSettings.disabled = true;
+    promptSettings.assumeYes = promptSettings.assumeYes || assumeYes;
+}
+
+// Prompts are only shown in a terminal, and not with --yes, --no-input or NOTED_NO_INPUT=1.
+// Without them, values come from flags, environment variables or .notedconfig defaults.
+export function isInteractive() {
+    const envNoInput = process.env.NOTED_NO_INPUT && !['0', 'false'].includes(process.env.NOTED_NO_INPUT.toLowerCase());
+    return !promptSettings.disabled && !envNoInput && Boolean(process.stdin.isTTY);
+}
+
+function missingValue(what, hint) {
+    return new InvalidArgumentError(`${what} is required, but prompts are disabled (--yes, --no-input or no terminal). ${hint}`);
+}
 
 export async function getRepoName(options) {
-    if (options.name) {
-        return options.name;
+    const repoName = options.name || process.env.NOTED_REPO_NAME;
+    if (repoName) {
+        return repoName;
+    }
+    if (!isInteractive()) {
+        return 'Noted';
     }
     const { chosenRepoName } = await inquirer.prompt([
         {
@@ -20,9 +45,9 @@ export async function getRepoName(options) {
 }
 
 export async function getWorkspaceName(options, parentRepoPath) {
-    let workspaceName = options.name || 'untitled-workspace';
+    let workspaceName = options.name || process.env.NOTED_WORKSPACE_NAME || 'untitled-workspace';
 
-    if (!options.name) {
+    if (!options.name && !process.env.NOTED_WORKSPACE_NAME && isInteractive()) {
         const { chosenWorkspaceName } = await inquirer.prompt([
             {
                 type: 'input',
@@ -47,14 +72,25 @@ export async function getWorkspaceName(options, parentRepoPath) {
     return workspaceName;
 }
 
-// Export other functions
-export async function getRepoType(options) {
+// Resolve "local" or "remote" from --local/--remote, NOTED_REPO_TYPE or the given defaults (workspace_defaults in .notedconfig)
+export async function getRepoType(options, defaults = {}) {
     if (options.local) {
         return 'Local';
     }
     if (options.remote) {
         return 'Remote';
     }
+    const configured = process.env.NOTED_REPO_TYPE || defaults.type;
+    if (configured) {
+        const repoType = ['Local', 'Remote'].find(type => type.toLowerCase() === configured.toLowerCase());
+        if (!repoType) {
+            throw new InvalidArgumentError(`Unknown repository type '${configured}'. Use "local" or "remote".`);
+        }
+        return repoType;
+    }
+    if (!isInteractive()) {
+        throw missingValue('The repository type', 'Pass --local or --remote, or set NOTED_REPO_TYPE to "local" or "remote".');
+    }
     const { repoType } = await inquirer.prompt([
         {
             type: 'list',
@@ -66,10 +102,18 @@ export async function getRepoType(options) {
     return repoType;
 }
 
-export async function getRemoteOption(options, repoType) {
+export async function getRemoteOption(options, repoType, defaults = {}) {
     if (repoType === 'Remote') {
-        if (options.remote) {
-            return options.remote;
+        // A bare --remote (without a URL) asks how to set the remote up
+        const remote = typeof options.remote === 'string' ? options.remote : process.env.NOTED_REMOTE || defaults.remote;
+        if (remote) {
+            if (remote !== 'new' && !isValidRemote(remote)) {
+                throw new InvalidArgumentError(`Invalid remote '${remote}'. Use "new" to create a GitHub repository, or give a remote URL.`);
+            }
+            return remote;
+        }
+        if (!isInteractive()) {
+            throw missingValue('The remote', 'Pass --remote new or --remote <url>, or set NOTED_REMOTE.');
         }
         const { remoteOption } = await inquirer.prompt([
             {
@@ -88,10 +132,10 @@ export async function getRemoteOption(options, repoType) {
                 name: 'manualUrl',
                 message: 'Enter remote URL:',
                 validate: (input) => {
-                    if (isValidUrl(input)) {
+                    if (isValidRemote(input)) {
                         return true;
                     }
-                    return 'Please enter a valid URL';
+                    return 'Please enter a valid remote URL';
                 }
             });
             return manualUrl;
@@ -99,3 +143,123 @@ export async function getRemoteOption(options, repoType) {
     }
     return null; // For local repositories
 }
+
+// The directory noted was started from, captured before the global -w/-f options or the default root change it.
+// Paths given on the command line that point outside the repository are resolved against it.
+const invocationDir = process.cwd();
+
+export function getInvocationDir() {
+    return invocationDir;
+}
+
+// Walk up from the given directory until the Noted repository root (the folder holding .notedconfig) is found
+export function getNotedRepoRoot(currentDir) {
+    let dir = path.resolve(currentDir);
+    while (dir !== path.dirname(dir)) {
+        if (fs.existsSync(path.join(dir, '.notedconfig'))) {
+            return dir;
+        }
+        dir = path.dirname(dir);
+    }
+    return null; // No Noted repo root found
+}
+
+// Get the absolute path of the workspace (top-level submodule folder) that contains the given directory
+export function getWorkspacePath(currentDir) {
+    const notedRoot = getNotedRepoRoot(currentDir);
+    if (!notedRoot) {
+        return null;
+    }
+    const workspaceName = path.relative(notedRoot, path.resolve(currentDir)).split(path.sep)[0];
+    return workspaceName ? path.join(notedRoot, workspaceName) : null;
+}
+
+// Names of the workspaces put away with "noted workspace archive"
+export function getArchivedWorkspaces(parentRepoPath) {
+    try {
+        return Object.keys(readNotedConfig(parentRepoPath).archived_workspaces || {});
+    } catch (error) {
+        return [];
+    }
+}
+
+// Get the absolute paths of all workspaces (submodules) listed in the parent repository's .gitmodules.
+// Archived workspaces are left out unless includeArchived is set.
+export function getSubmodules(parentRepoPath, { includeArchived = false } = {}) {
+    const gitmodulesPath = path.join(parentRepoPath, '.gitmodules');
+
+    // Check if the .gitmodules file exists
+    if (!fs.existsSync(gitmodulesPath)) {
+        return [];
+    }
+
+    const gitmodulesContent = fs.readFileSync(gitmodulesPath, 'utf8');
+    const submodulePaths = [];
+    const archived = includeArchived ? [] : getArchivedWorkspaces(parentRepoPath);
+
+    // Regex to capture paths from .gitmodules
+    const regex = /path\s*=\s*(.+)/g;
+    let match;
+
+    // Iterate through all matches of "path = ..." in the .gitmodules file
+    while ((match = regex.exec(gitmodulesContent)) !== null) {
+        const submoduleRelativePath = match[1].trim(); // Extract and trim the submodule path
+        if (!includeArchived && archived.includes(submoduleRelativePath)) {
+            continue;
+        }
+        const submoduleAbsolutePath = path.join(parentRepoPath, submoduleRelativePath);
+        submodulePaths.push(submoduleAbsolutePath);
+    }
+
+    return submodulePaths;
+}
+
+// Ask the user to confirm a destructive action, unless --yes was given
+export async function getConfirmation(options, message) {
+    if (options.yes || promptSettings.assumeYes) {
+        return true;
+    }
+    if (!isInteractive()) {
+        throw new InvalidArgumentError(`"${message}" needs a confirmation, but prompts are disabled. Pass --yes to confirm.`);
+    }
+    const { confirmed } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirmed',
+            message,
+            default: false,
+        }
+    ]);
+    return confirmed;
+}
+
+// Ask for the passphrase of an encrypted workspace (twice when creating one), or take it from NOTED_PASSPHRASE
+export async function getPassphrase(workspaceName, confirm = false) {
+    if (process.env.NOTED_PASSPHRASE) {
+        return process.env.NOTED_PASSPHRASE;
+    }
+    if (!isInteractive()) {
+        throw missingValue(`The passphrase of workspace "${workspaceName}"`, 'Set NOTED_PASSPHRASE.');
+    }
+    const { passphrase } = await inquirer.prompt([
+        {
+            type: 'password',
+            name: 'passphrase',
+            mask: '*',
+            message: `Passphrase for workspace "${workspaceName}":`,
+            validate: input => (input.length >= 8 ? true : 'Use at least 8 characters'),
+        }
+    ]);
+    if (confirm) {
+        await inquirer.prompt([
+            {
+                type: 'password',
+                name: 'repeated',
+                mask: '*',
+                message: 'Repeat the passphrase:',
+                validate: input => (input === passphrase ? true : 'Passphrases do not match'),
+            }
+        ]);
+    }
+    return passphrase;
+}
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import simpleGit from 'simple-git';
+import chalk from 'chalk';
+import { getNotedRepoRoot, getWorkspacePath } from './getters.js';
+import { decryptIfNeeded, isEncryptedWorkspace } from './crypt.js';
+
+// Locate a note given on the command line: a path relative to the current folder, or "workspace:folder/note".
+// The note does not have to exist anymore, so older versions of deleted notes can be found too.
+export function locateNote(arg, currentDir) {
+    const fileName = arg.endsWith('.md') ? arg : `${arg}.md`;
+    const separator = fileName.indexOf(':');
+
+    let notePath = path.resolve(currentDir, fileName);
+    if (separator > 0) {
+        const notedRoot = getNotedRepoRoot(currentDir);
+        if (!notedRoot) {
+            throw new Error('Noted repository root not found. Run this command inside a Noted repository.');
+        }
+        notePath = path.join(notedRoot, fileName.slice(0, separator), fileName.slice(separator + 1));
+    }
+
+    const workspacePath = getWorkspacePath(notePath);
+    if (!workspacePath || !fs.existsSync(workspacePath)) {
+        throw new Error(`Note '${arg}' is not inside a workspace.`);
+    }
+
+    return {
+        name: path.basename(notePath, '.md'),
+        path: notePath,
+        workspacePath,
+        relativePath: path.relative(workspacePath, notePath).split(path.sep).join('/'),
+        git: simpleGit(workspacePath),
+    };
+}
+
+// List the commits that touched a note, following renames; each entry records the note's path at that commit
+export async function getNoteHistory(note, maxCount = null) {
+    const args = ['log', '--follow', '--name-only', '--format=%x1e%H%x1f%h%x1f%an%x1f%aI%x1f%s'];
+    if (maxCount) {
+        args.push(`--max-count=${maxCount}`);
+    }
+    args.push('--', note.relativePath);
+
+    const output = await note.git.raw(args);
+    return output.split('\x1e').filter(entry => entry.trim()).map((entry) => {
+        const [header, ...files] = entry.split('\n');
+        const [hash, shortHash, author, date, message] = header.split('\x1f');
+        return { hash, shortHash, author, date, message, path: files.find(file => file.trim()) || note.relativePath };
+    });
+}
+
+// Turn a revision (hash, tag, HEAD~2, ...) or a date ("2026-10-01", "yesterday") into a commit hash
+export async function resolveRevision(note, revOrDate) {
+    try {
+        const commit = (await note.git.revparse(['--verify', '--quiet', `${revOrDate}^{commit}`])).trim();
+        if (commit) {
+            return commit;
+        }
+    } catch (error) {
+        // Not a revision, try it as a date
+    }
+
+    // Let git parse the date, but only for things that look like one
+    const looksLikeDate = !Number.isNaN(Date.parse(revOrDate))
+        || /\b(now|today|yesterday|noon|midnight|ago|last)\b/i.test(revOrDate);
+    if (!looksLikeDate) {
+        throw new Error(`'${revOrDate}' is neither a known revision nor a date.`);
+    }
+
+    const byDate = (await note.git.raw(['log', '-1', '--format=%H', `--before=${revOrDate}`, '--', note.relativePath])).trim();
+    if (byDate) {
+        return byDate;
+    }
+    throw new Error(`'${revOrDate}' is neither a known revision nor a date with a version of '${note.name}'.`);
+}
+
+// Find the note's path at the given commit: the one recorded by the latest change at or before it.
+// Returns null when the note did not exist yet.
+export async function getNotePathAt(note, commit) {
+    const history = await getNoteHistory(note);
+
+    for (const entry of history) {
+        if (entry.hash === commit) {
+            return entry.path;
+        }
+        // The entry is at or before the commit when it is their common ancestor
+        const mergeBase = (await note.git.raw(['merge-base', entry.hash, commit])).trim();
+        if (mergeBase === entry.hash) {
+            return entry.path;
+        }
+    }
+    return null;
+}
+
+// Read a note as it was at the given commit
+export async function getNoteAt(note, commit) {
+    const notePath = await getNotePathAt(note, commit);
+    try {
+        if (!notePath) {
+            throw new Error('No version at this commit');
+        }
+        return await decryptIfNeeded(note.workspacePath, await note.git.show([`${commit}:${notePath}`]));
+    } catch (error) {
+        if (error.message.includes('locked')) {
+            throw error;
+        }
+        throw new Error(`Note '${note.name}' did not exist at ${commit.slice(0, 7)}.`);
+    }
+}
+
+// Word-level diff between two versions of a note; each side is a commit, or null for the working tree
+export async function diffNote(note, fromCommit, toCommit = null) {
+    const blobSpec = async (commit) => {
+        if (commit) {
+            const notePath = await getNotePathAt(note, commit);
+            if (!notePath) {
+                throw new Error(`Note '${note.name}' did not exist at ${commit.slice(0, 7)}.`);
+            }
+            return `${commit}:${notePath}`;
+        }
+        // Store the working copy as a blob so git can diff it against older versions, even after renames.
+        // Encrypted workspaces skip the filters: older versions are decrypted by the textconv driver.
+        const filters = isEncryptedWorkspace(note.workspacePath) ? ['--no-filters'] : [];
+        return (await note.git.raw(['hash-object', '-w', ...filters, '--', note.relativePath])).trim();
+    };
+
+    return note.git.raw(['diff', '--word-diff=porcelain', await blobSpec(fromCommit), await blobSpec(toCommit)]);
+}
+
+// Colour the output of "git diff --word-diff=porcelain": removed words red, added words green
+export function formatWordDiff(output) {
+    const lines = [];
+    let current = '';
+
+    for (const line of output.split('\n')) {
+        if (/^(diff --git|index |--- |\+\+\+ |new file|deleted file|similarity|rename )/.test(line)) {
+            continue;
+        }
+        if (line.startsWith('@@')) {
+            lines.push(chalk.cyan(line));
+        } else if (line.startsWith('~')) {
+            lines.push(current);
+            current = '';
+        } else if (line.startsWith('+')) {
+            current += chalk.green.bold(line.slice(1));
+        } else if (line.startsWith('-')) {
+            current += chalk.red.strikethrough(line.slice(1));
+        } else if (line.startsWith(' ')) {
+            current += line.slice(1);
+        }
+    }
+    if (current) {
+        lines.push(current);
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import TurndownService from 'turndown';
+import { XMLParser } from 'fast-xml-parser';
+import { parseFrontMatter, stringifyFrontMatter, createMetadata } from './frontMatter.js';
+
+// Stand-ins for Evernote checkboxes; Turndown would escape a literal "[x]"
+const TODO_DONE = '@@noted-todo-done@@';
+const TODO_OPEN = '@@noted-todo-open@@';
+
+// Inline #tags as Obsidian writes them; a tag needs at least one letter so "#1" stays text
+const INLINE_TAG_REGEX = /(^|\s)#([\p{L}\p{N}_/-]*\p{L}[\p{L}\p{N}_/-]*)/gu;
+
+// Work out which adapter handles a source: an .enex file, an Obsidian vault, or any folder of notes
+export function detectSourceType(source) {
+    if (!fs.existsSync(source)) {
+        throw new Error(`'${source}' does not exist.`);
+    }
+    const stats = fs.statSync(source);
+    if (stats.isFile()) {
+        if (source.toLowerCase().endsWith('.enex')) {
+            return 'enex';
+        }
+        throw new Error(`'${source}' is not an Evernote export (.enex) or a folder.`);
+    }
+    return fs.existsSync(path.join(source, '.obsidian')) ? 'obsidian' : 'markdown';
+}
+
+// Keep a title usable as a file name on every platform
+function toFileName(title) {
+    const name = title.replace(/[\\/:*?"<>|]/g, '-').replace(/\s+/g, ' ').trim();
+    return name || 'Untitled';
+}
+
+// Tags written in the body of a note, ignoring fenced code blocks
+export function findInlineTags(body) {
+    const tags = [];
+    let inCodeBlock = false;
+
+    for (const line of body.split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            continue;
+        }
+        if (inCodeBlock) {
+            continue;
+        }
+        for (const match of line.matchAll(INLINE_TAG_REGEX)) {
+            tags.push(match[2]);
+        }
+    }
+
+    return tags;
+}
+
+// Give an imported note the same front matter "note add" writes, keeping its original dates when known
+function buildNote(content, { tags = [], created, updated }) {
+    let data = {};
+    let body = content;
+    try {
+        ({ data, body } = parseFrontMatter(content));
+    } catch (error) {
+        // Unreadable front matter is kept as part of the body rather than lost
+    }
+
+    const metadata = createMetadata(data, { tags: [...tags, ...findInlineTags(body)] });
+    metadata.created = data.created || created || metadata.created;
+    metadata.updated = data.updated || updated || metadata.updated;
+    return stringifyFrontMatter(metadata, body);
+}
+
+// Walk a folder of notes: .md and .txt files become notes, everything else is copied as an attachment
+export function planDirectoryImport(sourceDir, relativeDir = '') {
+    const items = [];
+    const entries = fs.readdirSync(path.join(sourceDir, relativeDir), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        // Skips .obsidian, .trash, .git and other hidden files, like collectNotes does
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+
+        const relativePath = path.join(relativeDir, entry.name);
+        const sourcePath = path.join(sourceDir, relativePath);
+        if (entry.isDirectory()) {
+            items.push(...planDirectoryImport(sourceDir, relativePath));
+        } else if (entry.isFile() && /\.(md|txt)$/i.test(entry.name)) {
+            const stats = fs.statSync(sourcePath);
+            items.push({
+                kind: 'note',
+                relativePath: relativePath.replace(/\.(md|txt)$/i, '.md'),
+                content: buildNote(fs.readFileSync(sourcePath, 'utf8'), {
+                    created: stats.birthtime.toISOString(),
+                    updated: stats.mtime.toISOString(),
+                }),
+            });
+        } else if (entry.isFile()) {
+            items.push({ kind: 'attachment', relativePath, sourcePath });
+        }
+    }
+
+    return items;
+}
+
+// ENEX dates look like 20240131T094500Z
+function parseEnexDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    return match ? new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`).toISOString() : undefined;
+}
+
+function createTurndown() {
+    const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-', emDelimiter: '*' });
+    // Evernote wraps every line in a <div>; keep them as separate paragraphs rather than one long line
+    turndown.addRule('evernoteDiv', {
+        filter: 'div',
+        replacement: content => `\n\n${content}\n\n`,
+    });
+    return turndown;
+}
+
+// Convert ENML (Evernote's XHTML) to Markdown, pointing <en-media> at the attachments written next to the note
+export function enmlToMarkdown(enml, attachments, turndown = createTurndown()) {
+    const html = enml
+        .replace(/<\?xml[^>]*\?>/g, '')
+        .replace(/<!DOCTYPE[^>]*>/g, '')
+        .replace(/<en-todo\s+checked="true"\s*\/?>(<\/en-todo>)?/g, TODO_DONE)
+        .replace(/<en-todo[^>]*\/?>(<\/en-todo>)?/g, TODO_OPEN)
+        .replace(/<en-media([^>]*?)\/?>(<\/en-media>)?/g, (raw, attributes) => {
+            const hash = (attributes.match(/hash="([^"]+)"/) || [])[1];
+            const attachment = hash && attachments.get(hash);
+            if (!attachment) {
+                return '';
+            }
+            const url = encodeURI(attachment.link);
+            return attachment.mime.startsWith('image/')
+                ? `<img src="${url}" alt="${attachment.fileName}">`
+                : `<a href="${url}">${attachment.fileName}</a>`;
+        })
+        .replace(/<\/?en-note[^>]*>/g, '');
+
+    const markdown = turndown.turndown(html)
+        .replace(new RegExp(`^(\\s*)${TODO_DONE}\\s*`, 'gm'), '$1- [x] ')
+        .replace(new RegExp(`^(\\s*)${TODO_OPEN}\\s*`, 'gm'), '$1- [ ] ')
+        .replaceAll(TODO_DONE, '[x] ')
+        .replaceAll(TODO_OPEN, '[ ] ')
+        // Consecutive checkboxes were separate <div>s; keep them together as one task list
+        .replace(/^(- \[[ x]\] .*)\n\n(?=- \[[ x]\] )/gm, '$1\n');
+
+    return `${markdown.replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+// Read an Evernote export: each note becomes a Markdown file in a folder named after the notebook,
+// and its resources are written to an attachments folder beside it
+export function planEnexImport(enexPath) {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        processEntities: true,
+        isArray: name => ['note', 'tag', 'resource'].includes(name),
+    });
+    const exported = parser.parse(fs.readFileSync(enexPath, 'utf8'))['en-export'];
+    if (!exported) {
+        throw new Error(`'${enexPath}' is not a valid Evernote export.`);
+    }
+
+    const notebook = toFileName(path.basename(enexPath).replace(/\.enex$/i, ''));
+    const turndown = createTurndown();
+    const noteNames = new Set();
+    const attachmentNames = new Set();
+    const items = [];
+
+    // Evernote allows duplicate titles and file names; number them like a file manager would
+    const uniqueName = (usedNames, name, extension) => {
+        let candidate = `${name}${extension}`;
+        for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+            candidate = `${name} ${counter}${extension}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    for (const note of exported.note || []) {
+        const title = String(note.title ?? 'Untitled');
+        const attachments = new Map();
+
+        for (const resource of note.resource || []) {
+            const encoded = typeof resource.data === 'object' ? resource.data['#text'] : resource.data;
+            if (!encoded) {
+                continue;
+            }
+            const data = Buffer.from(String(encoded).replace(/\s+/g, ''), 'base64');
+            const hash = crypto.createHash('md5').update(data).digest('hex');
+            const mime = String(resource.mime || 'application/octet-stream');
+            const originalName = resource['resource-attributes']?.['file-name'];
+            const extension = originalName ? path.extname(String(originalName)) : `.${mime.split('/')[1] || 'bin'}`;
+            const baseName = toFileName(originalName ? path.basename(String(originalName), extension) : hash);
+            const fileName = uniqueName(attachmentNames, baseName, extension);
+
+            attachments.set(hash, { fileName, mime, link: `attachments/${fileName}` });
+            items.push({ kind: 'attachment', relativePath: path.join(notebook, 'attachments', fileName), data });
+        }
+
+        const body = enmlToMarkdown(String(note.content || ''), attachments, turndown);
+        items.push({
+            kind: 'note',
+            relativePath: path.join(notebook, uniqueName(noteNames, toFileName(title), '.md')),
+            content: buildNote(`# ${title}\n\n${body}`, {
+                tags: (note.tag || []).map(String),
+                created: parseEnexDate(note.created),
+                updated: parseEnexDate(note.updated),
+            }),
+        });
+    }
+
+    return items;
+}
+
+// Plan an import for any supported source
+export function planImport(source) {
+    const type = detectSourceType(source);
+    const items = type === 'enex' ? planEnexImport(source) : planDirectoryImport(source);
+    return { type, items };
+}
+
+// Write planned items below destDir; existing files are never overwritten
+export function writeImport(items, destDir) {
+    const result = { notes: 0, attachments: 0, skipped: [] };
+
+    for (const item of items) {
+        const targetPath = path.join(destDir, item.relativePath);
+        if (fs.existsSync(targetPath)) {
+            result.skipped.push(item.relativePath);
+            continue;
+        }
+
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        if (item.kind === 'note') {
+            fs.writeFileSync(targetPath, item.content);
+            result.notes++;
+        } else {
+            if (item.sourcePath) {
+                fs.copyFileSync(item.sourcePath, targetPath);
+            } else {
+                fs.writeFileSync(targetPath, item.data);
+            }
+            result.attachments++;
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { getSubmodules, getWorkspacePath } from './getters.js';
+import { readNotedConfig } from './config.js';
+
+const ENTRY_REGEX = /^(\d{4})-(\d{2})-(\d{2})\.md$/;
+
+const pad = value => String(value).padStart(2, '0');
+
+// Journal dates are local calendar days, formatted as YYYY-MM-DD
+export function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Parse "today", "yesterday", "tomorrow" or a YYYY-MM-DD date
+export function parseJournalDate(value = 'today') {
+    const today = new Date();
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const keyword = value.toLowerCase();
+
+    if (keyword === 'today') {
+        return day;
+    }
+    if (keyword === 'yesterday') {
+        return addDays(day, -1);
+    }
+    if (keyword === 'tomorrow') {
+        return addDays(day, 1);
+    }
+
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    if (!date || formatDate(date) !== value) {
+        throw new Error(`'${value}' is not a valid date. Use today, yesterday, tomorrow or YYYY-MM-DD.`);
+    }
+    return date;
+}
+
+// Where the journal lives: the workspace from --workspace, the current workspace, or "journal.workspace" in .notedconfig,
+// and the folder from "journal.folder" (default: journal)
+export function getJournalSettings(notedRoot, currentDir, workspaceName) {
+    const settings = readNotedConfig(notedRoot).journal || {};
+    const name = workspaceName
+        || (getWorkspacePath(currentDir) ? path.basename(getWorkspacePath(currentDir)) : null)
+        || settings.workspace;
+    if (!name) {
+        throw new Error('No workspace chosen. Run this inside a workspace, pass --workspace, or set "journal.workspace" in .notedconfig.');
+    }
+
+    const workspacePath = getSubmodules(notedRoot).find(submodule => path.basename(submodule) === name);
+    if (!workspacePath || !fs.existsSync(workspacePath)) {
+        throw new Error(`Workspace '${name}' does not exist.`);
+    }
+
+    return {
+        workspacePath,
+        folder: settings.folder || 'journal',
+        template: settings.template || 'journal',
+    };
+}
+
+// journal/2026/10/2026-10-19.md
+export function getEntryDir(settings, date) {
+    return path.join(settings.workspacePath, settings.folder, String(date.getFullYear()), pad(date.getMonth() + 1));
+}
+
+export function getEntryPath(settings, date) {
+    return path.join(getEntryDir(settings, date), `${formatDate(date)}.md`);
+}
+
+// Every journal entry in the workspace, oldest first
+export function listEntries(settings) {
+    const journalDir = path.join(settings.workspacePath, settings.folder);
+    const entries = [];
+
+    const walk = (dir) => {
+        if (!fs.existsSync(dir)) {
+            return;
+        }
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, entry.name);
+            const match = entry.name.match(ENTRY_REGEX);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+            } else if (match) {
+                entries.push({ date: new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])), path: entryPath });
+            }
+        }
+    };
+    walk(journalDir);
+
+    return entries.sort((a, b) => a.date - b.date);
+}
+
+// Monday to Sunday of the week containing the date
+export function getWeekRange(date) {
+    const start = addDays(date, -((date.getDay() + 6) % 7));
+    return { start, end: addDays(start, 6) };
+}
+
+export function getMonthRange(date) {
+    return { start: new Date(date.getFullYear(), date.getMonth(), 1), end: new Date(date.getFullYear(), date.getMonth() + 1, 0) };
+}
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { parseFrontMatter } from './frontMatter.js';
+import { getNotedRepoRoot } from './getters.js';
+import { collectAllNotes } from './notes.js';
+
+// [[target]], [[target|label]] and [[target#heading]] where target is "note", "folder/note" or "workspace:folder/note"
+const WIKI_LINK_REGEX = /\[\[([^\[\]|#]+)(?:#[^\[\]|]*)?(?:\|[^\[\]]*)?\]\]/g;
+
+// Parse a link target into its optional workspace and its path (without .md)
+export function parseTarget(target) {
+    const trimmed = target.trim();
+    const separator = trimmed.indexOf(':');
+    const workspace = separator > 0 ? trimmed.slice(0, separator).trim() : null;
+    const notePath = (separator > 0 ? trimmed.slice(separator + 1) : trimmed).trim().replace(/^\/+/, '').replace(/\.md$/, '');
+    return { workspace, notePath };
+}
+
+// Find every wiki link in a note body, skipping fenced code blocks
+export function parseLinks(content) {
+    const links = [];
+    let inCodeBlock = false;
+
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        if (inCodeBlock) {
+            return;
+        }
+
+        WIKI_LINK_REGEX.lastIndex = 0;
+        let match;
+        while ((match = WIKI_LINK_REGEX.exec(line)) !== null) {
+            links.push({ raw: match[0], targetRaw: match[1], target: match[1].trim(), ...parseTarget(match[1]), lineNumber: index + 1, line });
+        }
+    });
+
+    return links;
+}
+
+// The canonical way to refer to a note: "workspace:folder/note"
+export function noteLinkId(note) {
+    return `${note.workspace}:${note.relativePath.split(path.sep).join('/').replace(/\.md$/, '')}`;
+}
+
+// Build lookup tables over all notes so links can be resolved without touching the disk again
+export function buildCatalog(notes) {
+    const byId = new Map();
+    const byName = new Map();
+
+    const addName = (name, note) => {
+        const key = name.toLowerCase();
+        if (!byName.has(key)) {
+            byName.set(key, []);
+        }
+        byName.get(key).push(note);
+    };
+
+    for (const note of notes) {
+        byId.set(noteLinkId(note).toLowerCase(), note);
+        addName(note.name, note);
+
+        let aliases = [];
+        try {
+            aliases = parseFrontMatter(fs.readFileSync(note.path, 'utf8')).data.aliases || [];
+        } catch (error) {
+            // Notes with broken front matter can still be linked by name
+        }
+        aliases.forEach(alias => addName(alias, note));
+    }
+
+    return { notes, byId, byName };
+}
+
+// Resolve a link found in sourceNote to the note it points to, or null when the target does not exist
+export function resolveLink(link, sourceNote, catalog) {
+    const workspace = link.workspace || sourceNote.workspace;
+
+    if (link.notePath.includes('/') || link.workspace) {
+        // Paths are relative to the workspace root, or to the source note's folder
+        const candidates = [link.notePath];
+        if (!link.workspace && sourceNote.folder) {
+            candidates.push(path.posix.join(sourceNote.folder.split(path.sep).join('/'), link.notePath));
+        }
+        for (const candidate of candidates) {
+            const note = catalog.byId.get(`${workspace}:${candidate}`.toLowerCase());
+            if (note) {
+                return note;
+            }
+        }
+        return null;
+    }
+
+    // Bare names (and aliases) prefer the source note's folder, then its workspace, then any workspace
+    const matches = catalog.byName.get(link.notePath.toLowerCase()) || [];
+    return matches.find(note => note.workspace === sourceNote.workspace && note.folder === sourceNote.folder)
+        || matches.find(note => note.workspace === sourceNote.workspace)
+        || matches[0]
+        || null;
+}
+
+// Read every note once and resolve all of its outgoing links
+export function buildLinkGraph(notes) {
+    const catalog = buildCatalog(notes);
+    const graph = [];
+
+    for (const note of notes) {
+        const content = fs.readFileSync(note.path, 'utf8');
+        for (const link of parseLinks(content)) {
+            graph.push({ source: note, link, target: resolveLink(link, note, catalog) });
+        }
+    }
+
+    return { catalog, graph };
+}
+
+// Links from notes outside the given paths to notes inside them; used to warn before deleting
+export function findIncomingLinks(notes, removedPaths) {
+    const isRemoved = notePath => removedPaths.some(removed => notePath === removed || notePath.startsWith(`${removed}${path.sep}`));
+    const { graph } = buildLinkGraph(notes);
+    return graph.filter(edge => edge.target && isRemoved(edge.target.path) && !isRemoved(edge.source.path));
+}
+
+// Print a warning for every note that still links to something about to be deleted
+export function warnIncomingLinks(currentDir, removedPaths) {
+    try {
+        const notedRoot = getNotedRepoRoot(currentDir);
+        if (!notedRoot) {
+            return [];
+        }
+        const incoming = findIncomingLinks(collectAllNotes(notedRoot), removedPaths.map(removed => path.resolve(removed)));
+        if (incoming.length > 0) {
+            console.log(chalk.yellow(`⚠ ${incoming.length} link(s) from other notes will break:`));
+            incoming.forEach((edge) => {
+                console.log(chalk.yellow(`  ${noteLinkId(edge.source)}:${edge.link.lineNumber} ${edge.link.raw} → ${noteLinkId(edge.target)}`));
+            });
+        }
+        return incoming;
+    } catch (error) {
+        // Link checking must never block a delete
+        return [];
+    }
+}
+
+// Find the note a command-line argument refers to: a file relative to the current directory,
+// or a wiki link target resolved from the current workspace and folder
+export function findNote(arg, currentDir, catalog, workspacePath) {
+    const filePath = path.resolve(currentDir, arg.endsWith('.md') ? arg : `${arg}.md`);
+    const byPath = catalog.notes.find(note => note.path === filePath);
+    if (byPath) {
+        return byPath;
+    }
+
+    const context = {
+        workspace: workspacePath ? path.basename(workspacePath) : null,
+        folder: workspacePath ? path.relative(workspacePath, currentDir) : '',
+    };
+    return resolveLink(parseTarget(arg), context, catalog);
+}
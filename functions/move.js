@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import simpleGit from 'simple-git';
+import chalk from 'chalk';
+import { getNotedRepoRoot, getWorkspacePath } from './getters.js';
+import { collectAllNotes } from './notes.js';
+import { buildCatalog, buildLinkGraph, noteLinkId, parseTarget, resolveLink } from './links.js';
+import { commitChanges } from './remoteHelpers.js';
+import { refreshIndexFor } from './searchIndex.js';
+
+// Turn a destination given on the command line into an absolute path.
+// "workspace:folder/name" is relative to that workspace, anything else to the current directory.
+export function resolveDestination(dest, currentDir, notedRoot) {
+    const separator = dest.indexOf(':');
+    if (separator > 0) {
+        const workspacePath = path.join(notedRoot, dest.slice(0, separator));
+        if (!fs.existsSync(workspacePath)) {
+            throw new Error(`Workspace '${dest.slice(0, separator)}' does not exist.`);
+        }
+        return path.join(workspacePath, dest.slice(separator + 1));
+    }
+    return path.resolve(currentDir, dest);
+}
+
+async function isTracked(git, relativePath) {
+    try {
+        const files = await git.raw(['ls-files', '--', relativePath]);
+        return files.trim().length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Move a file or folder on disk: "git mv" inside one workspace so history follows it,
+// copy and "git rm" between two workspaces since history cannot cross repositories
+async function movePath(sourcePath, destPath, sourceWorkspace, destWorkspace) {
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    const sourceGit = simpleGit(sourceWorkspace);
+    const sourceRelative = path.relative(sourceWorkspace, sourcePath);
+
+    if (sourceWorkspace === destWorkspace) {
+        if (await isTracked(sourceGit, sourceRelative)) {
+            await sourceGit.raw(['mv', sourceRelative, path.relative(sourceWorkspace, destPath)]);
+            console.log(chalk.green('✔ Moved with git mv, history preserved.'));
+        } else {
+            fs.renameSync(sourcePath, destPath);
+            console.log(chalk.green('✔ Moved untracked item.'));
+        }
+        return;
+    }
+
+    fs.cpSync(sourcePath, destPath, { recursive: true });
+    if (await isTracked(sourceGit, sourceRelative)) {
+        await sourceGit.raw(['rm', '-r', '-q', '--', sourceRelative]);
+    }
+    fs.rmSync(sourcePath, { recursive: true, force: true });
+    console.log(chalk.green(`✔ Copied to workspace '${path.basename(destWorkspace)}' and removed from '${path.basename(sourceWorkspace)}'.`));
+}
+
+// Pick the shortest link text that still resolves from the source note to the target note,
+// preferring the style the link was originally written in
+function chooseLinkTarget(link, source, target, catalog) {
+    const relativeTarget = target.relativePath.split(path.sep).join('/').replace(/\.md$/, '');
+    const candidates = [];
+    if (!link.workspace && !link.notePath.includes('/')) {
+        candidates.push(target.name);
+    }
+    if (!link.workspace && source.workspace === target.workspace) {
+        candidates.push(relativeTarget);
+    }
+    candidates.push(`${target.workspace}:${relativeTarget}`);
+
+    return candidates.find(candidate => resolveLink(parseTarget(candidate), source, catalog) === target)
+        || `${target.workspace}:${relativeTarget}`;
+}
+
+// Rewrite every link that pointed into or out of the moved paths so it resolves to the same note again
+function rewriteLinks(graphBefore, mapPath, notedRoot) {
+    const catalog = buildCatalog(collectAllNotes(notedRoot));
+    const findNote = notePath => catalog.notes.find(note => note.path === notePath);
+    const rewrites = new Map();
+
+    for (const edge of graphBefore) {
+        if (!edge.target) {
+            continue;
+        }
+        const sourcePath = mapPath(edge.source.path);
+        const targetPath = mapPath(edge.target.path);
+        if (sourcePath === edge.source.path && targetPath === edge.target.path) {
+            continue;
+        }
+
+        const source = findNote(sourcePath);
+        const target = findNote(targetPath);
+        if (!source || !target || resolveLink(edge.link, source, catalog) === target) {
+            continue;
+        }
+
+        const newTarget = chooseLinkTarget(edge.link, source, target, catalog);
+        const newRaw = `[[${newTarget}${edge.link.raw.slice(2 + edge.link.targetRaw.length)}`;
+        if (!rewrites.has(source.path)) {
+            rewrites.set(source.path, { note: source, changes: [] });
+        }
+        rewrites.get(source.path).changes.push({ lineNumber: edge.link.lineNumber, from: edge.link.raw, to: newRaw });
+    }
+
+    const changedWorkspaces = new Set();
+    for (const { note, changes } of rewrites.values()) {
+        const lines = fs.readFileSync(note.path, 'utf8').split('\n');
+        for (const change of changes) {
+            lines[change.lineNumber - 1] = lines[change.lineNumber - 1].split(change.from).join(change.to);
+        }
+        fs.writeFileSync(note.path, lines.join('\n'));
+        console.log(chalk.green(`✔ Updated ${changes.length} link(s) in ${noteLinkId(note)}`));
+        changedWorkspaces.add(path.join(notedRoot, note.workspace));
+    }
+
+    return changedWorkspaces;
+}
+
+// Move a note or folder (inside one workspace or between two), rewrite links and commit every repository involved
+export async function moveItem(sourcePath, destPath, kind) {
+    const notedRoot = getNotedRepoRoot(sourcePath);
+    const sourceWorkspace = getWorkspacePath(sourcePath);
+    const destWorkspace = getWorkspacePath(destPath);
+
+    if (!notedRoot || !sourceWorkspace) {
+        throw new Error(`The ${kind} to move must be inside a workspace.`);
+    }
+    if (!destWorkspace || getNotedRepoRoot(destPath) !== notedRoot) {
+        throw new Error('The destination must be inside a workspace of the same Noted repository.');
+    }
+    if (fs.existsSync(destPath)) {
+        throw new Error(`Destination '${path.relative(notedRoot, destPath)}' already exists.`);
+    }
+    if (destPath === sourcePath || destPath.startsWith(`${sourcePath}${path.sep}`)) {
+        throw new Error(`A ${kind} cannot be moved into itself.`);
+    }
+
+    // Resolve all links before anything moves, so we know what they pointed to
+    const { graph } = buildLinkGraph(collectAllNotes(notedRoot));
+    const mapPath = (notePath) => {
+        if (notePath === sourcePath) {
+            return destPath;
+        }
+        if (notePath.startsWith(`${sourcePath}${path.sep}`)) {
+            return path.join(destPath, path.relative(sourcePath, notePath));
+        }
+        return notePath;
+    };
+
+    await movePath(sourcePath, destPath, sourceWorkspace, destWorkspace);
+    const changedWorkspaces = rewriteLinks(graph, mapPath, notedRoot);
+
+    const label = kind === 'note' ? 'note' : 'folder';
+    const from = `${path.basename(sourceWorkspace)}:${path.relative(sourceWorkspace, sourcePath).replace(/\.md$/, '')}`;
+    const to = `${path.basename(destWorkspace)}:${path.relative(destWorkspace, destPath).replace(/\.md$/, '')}`;
+
+    if (sourceWorkspace === destWorkspace) {
+        await commitChanges(sourceWorkspace, `Move ${label}: ${from} -> ${to}`);
+    } else {
+        // The history stays in the source workspace; record where it can be found
+        const sourceHead = (await simpleGit(sourceWorkspace).revparse(['--short', 'HEAD'])).trim();
+        await commitChanges(sourceWorkspace, `Move ${label}: ${from} -> ${to}`);
+        await commitChanges(destWorkspace, `Move ${label}: ${from} -> ${to} (history in ${path.basename(sourceWorkspace)}@${sourceHead})`);
+    }
+
+    for (const workspacePath of changedWorkspaces) {
+        if (workspacePath !== sourceWorkspace && workspacePath !== destWorkspace) {
+            await commitChanges(workspacePath, `Update links after moving ${label}: ${from} -> ${to}`);
+        }
+    }
+
+    // Keep the search index current
+    for (const workspacePath of new Set([sourceWorkspace, destWorkspace, ...changedWorkspaces])) {
+        await refreshIndexFor(workspacePath);
+    }
+
+    return { from, to };
+}
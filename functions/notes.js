@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { getSubmodules } from './getters.js';
+import { commitAll } from './remoteHelpers.js';
+import { log } from './output.js';
+import { getTemplateVariables, renderTemplate } from './templates.js';
+import { parseFrontMatter, stringifyFrontMatter, createMetadata } from './frontMatter.js';
+import { isEncryptedWorkspace, isUnlocked } from './crypt.js';
+
+// Resolve a note name given on the command line (with or without .md) to its path in the given directory
+export function resolveNotePath(currentDir, noteName) {
+    return path.join(currentDir, noteName.endsWith('.md') ? noteName : `${noteName}.md`);
+}
+
+// Recursively collect every Markdown note inside a workspace, skipping hidden files and folders (.git, .noted, ...)
+export function collectNotes(workspacePath, relativeDir = '') {
+    const notes = [];
+    const entries = fs.readdirSync(path.join(workspacePath, relativeDir), { withFileTypes: true });
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+
+        const relativePath = path.join(relativeDir, entry.name);
+        if (entry.isDirectory()) {
+            notes.push(...collectNotes(workspacePath, relativePath));
+        } else if (entry.isFile() && entry.name.endsWith('.md')) {
+            notes.push({
+                workspace: path.basename(workspacePath),
+                folder: relativeDir,
+                name: entry.name.replace(/\.md$/, ''),
+                relativePath,
+                path: path.join(workspacePath, relativePath),
+            });
+        }
+    }
+
+    return notes;
+}
+
+// Collect the notes of every workspace listed in .gitmodules, optionally limited to a single workspace
+export function collectAllNotes(notedRoot, workspaceName = null) {
+    const notes = [];
+
+    for (const workspacePath of getSubmodules(notedRoot)) {
+        if (workspaceName && path.basename(workspacePath) !== workspaceName) {
+            continue;
+        }
+        // Skip workspaces that are listed but not checked out
+        if (!fs.existsSync(workspacePath)) {
+            continue;
+        }
+        notes.push(...collectNotes(workspacePath));
+    }
+
+    return notes;
+}
+
+// Like collectAllNotes, but leaving out locked encrypted workspaces, whose notes are only ciphertext on disk
+export async function collectReadableNotes(notedRoot) {
+    const notes = [];
+
+    for (const workspacePath of getSubmodules(notedRoot)) {
+        if (!fs.existsSync(workspacePath)) {
+            continue;
+        }
+        if (isEncryptedWorkspace(workspacePath) && !(await isUnlocked(workspacePath))) {
+            continue;
+        }
+        notes.push(...collectNotes(workspacePath));
+    }
+
+    return notes;
+}
+
+// Pick a name that is not taken in the directory yet: name, name-1, name-2, ...
+export function getAvailableNoteName(dir, noteName) {
+    let finalNoteName = noteName;
+    let counter = 1;
+    while (fs.existsSync(path.join(dir, `${finalNoteName}.md`))) {
+        finalNoteName = `${noteName}-${counter}`;
+        counter++;
+    }
+    return finalNoteName;
+}
+
+// Create a note from an optional template, write its front matter and commit it unless it stays untracked.
+// Used by "note add" and "journal"; the journal passes the date the entry is for.
+export async function createNote(dir, noteName, { template = null, tags = [], status, untracked = false, date = new Date(), commitMessage } = {}) {
+    const finalNoteName = getAvailableNoteName(dir, noteName);
+    const notePath = path.join(dir, `${finalNoteName}.md`);
+
+    // Create the note (Markdown file)
+    let content = `# ${finalNoteName}\n`;
+    if (template) {
+        const variables = await getTemplateVariables(dir, finalNoteName, date);
+        content = renderTemplate(fs.readFileSync(template.path, 'utf8'), variables);
+    }
+
+    // Write the metadata as YAML front matter, merged with any the template defines
+    const { data, body } = parseFrontMatter(content);
+    const metadata = createMetadata(data, { tags, status });
+    fs.writeFileSync(notePath, stringifyFrontMatter(metadata, body));
+    log(chalk.green(`✔ Created note: ${finalNoteName}`));
+
+    // Track the note in Git by default unless it should stay untracked
+    if (!untracked) {
+        await commitAll(dir, commitMessage || `Add note: ${finalNoteName}`);
+    }
+
+    return { name: finalNoteName, path: notePath };
+}
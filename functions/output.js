@@ -0,0 +1,112 @@
+import chalk from 'chalk';
+import { stripVTControlCharacters } from 'util';
+
+// Exit codes are part of the CLI's interface; keep them in sync with the README
+export const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1, // The command failed
+    USAGE: 2, // Unknown command or option, or a missing argument
+    NOT_IN_REPOSITORY: 3, // Not inside a Noted repository, and no default root
+    GIT: 4, // A git operation (commit, push, pull) failed
+    PROBLEMS_FOUND: 5, // A check ("noted doctor", "noted links check") found problems
+};
+
+const state = {
+    json: false,
+    command: null,
+    result: null,
+    messages: [],
+    silent: false,
+    logger: null,
+};
+
+// Progress messages of the operations behind the API ("✔ Created note: ..."). The CLI prints them;
+// programs using the API get none unless they pass a logger.
+export function setLogger(logger) {
+    state.logger = logger;
+}
+
+export function log(message) {
+    if (state.logger) {
+        state.logger(message);
+    }
+}
+
+// Record a failure; the first one decides the exit code
+export function fail(code = EXIT_CODES.ERROR) {
+    if (!process.exitCode) {
+        process.exitCode = code;
+    }
+}
+
+// Print an error (or collect it with --json) and make the process exit with a non-zero code
+export function error(message, code = EXIT_CODES.ERROR) {
+    fail(code);
+    console.error(message);
+}
+
+export function notInRepository() {
+    error(chalk.red('✖ Error: Noted repository root not found. Run this command inside a Noted repository.'), EXIT_CODES.NOT_IN_REPOSITORY);
+}
+
+export function isJsonMode() {
+    return state.json;
+}
+
+// The structured result of a command, printed as "result" with --json
+export function setResult(result) {
+    state.result = result;
+}
+
+export function setCommandName(name) {
+    state.command = name;
+}
+
+// Leave the output alone, e.g. when --help or --version was printed
+export function silence() {
+    state.silent = true;
+}
+
+function classify(text) {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('✔')) {
+        return 'success';
+    }
+    if (trimmed.startsWith('⚠')) {
+        return 'warning';
+    }
+    if (trimmed.startsWith('✖')) {
+        return 'error';
+    }
+    return 'info';
+}
+
+// With --json, everything commands print is collected instead, and a single JSON document
+// with the result, the messages and the exit code is written to stdout when the process exits
+export function enableJsonMode() {
+    state.json = true;
+    const collect = level => (...args) => {
+        const text = stripVTControlCharacters(args.map(arg => (typeof arg === 'string' ? arg : String(arg))).join(' '));
+        if (text.trim()) {
+            state.messages.push({ level: level || classify(text), text: text.trim() });
+        }
+    };
+    console.log = collect(null);
+    console.info = collect(null);
+    console.warn = collect('warning');
+    console.error = collect('error');
+
+    process.on('exit', (code) => {
+        if (state.silent) {
+            return;
+        }
+        const exitCode = code || process.exitCode || EXIT_CODES.OK;
+        process.stdout.write(`${JSON.stringify({
+            ok: exitCode === EXIT_CODES.OK,
+            exitCode,
+            command: state.command,
+            result: state.result,
+            messages: state.messages,
+        }, null, 2)}\n`);
+    });
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { getNotedRepoRoot, getWorkspacePath, getSubmodules } from './getters.js';
+import { isMainNotedRepo } from './validations.js';
+
+// The registry of Noted roots is per user, so commands can find a repository from any directory
+export function getUserConfigPath() {
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'noted', 'config.json');
+}
+
+export function readUserConfig() {
+    const configPath = getUserConfigPath();
+    if (!fs.existsSync(configPath)) {
+        return { roots: {}, default: null };
+    }
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return { ...config, roots: config.roots || {}, default: config.default || null };
+    } catch (error) {
+        throw new Error(`Could not read ${configPath}: ${error.message}`);
+    }
+}
+
+export function writeUserConfig(config) {
+    const configPath = getUserConfigPath();
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+}
+
+// Register a Noted root under a name (its folder name by default); the first root registered becomes the default.
+// Registering a path that is already known keeps its existing name.
+export function addRoot(rootPath, name = null) {
+    const resolved = path.resolve(rootPath);
+    if (!isMainNotedRepo(resolved)) {
+        throw new Error(`'${resolved}' is not a Noted repository root (it has no .notedconfig).`);
+    }
+
+    const config = readUserConfig();
+    const existing = Object.keys(config.roots).find(rootName => config.roots[rootName] === resolved);
+    if (existing && (!name || name === existing)) {
+        return { name: existing, added: false, isDefault: config.default === existing };
+    }
+
+    const rootName = name || path.basename(resolved);
+    if (config.roots[rootName] && config.roots[rootName] !== resolved) {
+        throw new Error(`A root named '${rootName}' is already registered at ${config.roots[rootName]}. Pick another name with --name.`);
+    }
+    if (existing) {
+        delete config.roots[existing];
+        if (config.default === existing) {
+            config.default = rootName;
+        }
+    }
+
+    config.roots[rootName] = resolved;
+    if (!config.default) {
+        config.default = rootName;
+    }
+    writeUserConfig(config);
+    return { name: rootName, added: true, isDefault: config.default === rootName };
+}
+
+// Register a repository just created by "noted start" or "noted clone"; a failure only warns
+export function registerNewRoot(rootPath) {
+    try {
+        const result = addRoot(rootPath);
+        if (result.added) {
+            console.log(chalk.green(`✔ Registered Noted root '${result.name}'${result.isDefault ? ' as the default root' : ''}.`));
+        }
+    } catch (error) {
+        console.log(chalk.yellow(`⚠ Could not register the Noted root: ${error.message} Register it with "noted root add".`));
+    }
+}
+
+export function removeRoot(name) {
+    const config = readUserConfig();
+    if (!config.roots[name]) {
+        throw new Error(`No Noted root named '${name}'. Run "noted root list" to see the registered roots.`);
+    }
+    delete config.roots[name];
+    if (config.default === name) {
+        config.default = Object.keys(config.roots)[0] || null;
+    }
+    writeUserConfig(config);
+    return config.default;
+}
+
+export function setDefaultRoot(name) {
+    const config = readUserConfig();
+    if (!config.roots[name]) {
+        throw new Error(`No Noted root named '${name}'. Run "noted root list" to see the registered roots.`);
+    }
+    config.default = name;
+    writeUserConfig(config);
+    return config.roots[name];
+}
+
+// The default root, or null when none is registered or it no longer exists
+export function getDefaultRoot() {
+    const config = readUserConfig();
+    const rootPath = config.default ? config.roots[config.default] : null;
+    return rootPath && isMainNotedRepo(rootPath) ? rootPath : null;
+}
+
+// Work out the directory a command should run in from the global -w/--workspace and -f/--folder options.
+// The Noted root is the one around the current directory, or the default root from the registry.
+// A folder is looked up in the given workspace, or else in the workspace around the current directory.
+export function resolveTargetDir(currentDir, { workspace, folder } = {}) {
+    const notedRoot = getNotedRepoRoot(currentDir) || getDefaultRoot();
+    if (!notedRoot) {
+        if (workspace || folder) {
+            throw new Error('No Noted repository here and no default root registered. Run "noted root add <path>" first.');
+        }
+        return currentDir;
+    }
+
+    let targetDir = getNotedRepoRoot(currentDir) ? currentDir : notedRoot;
+    if (workspace) {
+        // Only the workspaces listed in .gitmodules, not any directory that happens to be under the root
+        targetDir = path.resolve(notedRoot, workspace);
+        if (!getSubmodules(notedRoot).includes(targetDir) || !fs.existsSync(targetDir) || !fs.statSync(targetDir).isDirectory()) {
+            throw new Error(`Workspace '${workspace}' does not exist in ${notedRoot}.`);
+        }
+    }
+    if (folder) {
+        const workspacePath = getWorkspacePath(targetDir);
+        if (!workspacePath) {
+            throw new Error('-f/--folder needs a workspace; pass one with -w or run the command inside a workspace.');
+        }
+        targetDir = path.resolve(workspacePath, folder);
+        if (path.relative(workspacePath, targetDir).startsWith('..')) {
+            throw new Error(`Folder '${folder}' is outside the workspace.`);
+        }
+        if (!fs.existsSync(targetDir) || !fs.statSync(targetDir).isDirectory()) {
+            throw new Error(`Folder '${folder}' does not exist in workspace '${path.basename(workspacePath)}'.`);
+        }
+    }
+
+    return targetDir;
+}
@@ -2,8 +2,13 @@ import simpleGit from 'simple-git';
 import chalk from 'chalk';
 import path from 'path';
 import { isSubmodule } from './validations.js'; // Correct import
+import { assertNothingInClear } from './crypt.js';
+import * as output from './output.js';
+import { NotedError, GitError } from './errors.js';
 
-export async function commitChanges(currentPath, commitMessage, branchName = 'main') {
+// Commit everything under currentPath, then the new commit of the workspace in the parent repository.
+// Throws a GitError when git fails; commitChanges reports the error instead.
+export async function commitAll(currentPath, commitMessage, branchName = 'main') {
     try {
         const git = simpleGit(currentPath);
 
@@ -17,11 +22,11 @@ export async function commitChanges(currentPath, commitMessage, branchName = 'ma
             // We are in a detached HEAD state, check out the branch
             try {
                 await repoGit.checkout(branchName);
-                console.log(chalk.green(`✔ Checked out branch '${branchName}' in ${repoRoot}`));
+                output.log(chalk.green(`✔ Checked out branch '${branchName}' in ${repoRoot}`));
             } catch (error) {
                 // Branch doesn't exist, create it
                 await repoGit.checkoutLocalBranch(branchName);
-                console.log(chalk.green(`✔ Created and checked out new branch '${branchName}' in ${repoRoot}`));
+                output.log(chalk.green(`✔ Created and checked out new branch '${branchName}' in ${repoRoot}`));
             }
         }
 
@@ -30,33 +35,44 @@ export async function commitChanges(currentPath, commitMessage, branchName = 'ma
 
         // Stage all changes from the current directory
         await repoGit.add(`${relativePath}/.`);
-        console.log(chalk.green('✔ Staged changes from current directory.'));
+        output.log(chalk.green('✔ Staged changes from current directory.'));
+
+        // Never commit plaintext notes in an encrypted workspace
+        await assertNothingInClear(repoRoot);
 
         // Commit the staged changes
         await repoGit.commit(commitMessage);
-        console.log(chalk.green(`✔ Committed changes: "${commitMessage}" to ${repoRoot}`));
+        output.log(chalk.green(`✔ Committed changes: "${commitMessage}" to ${repoRoot}`));
 
         // Check if we are in a submodule
         const parentRepoPath = await isSubmodule(repoRoot);
 
         if (parentRepoPath) {
             // We are in a submodule; update the parent repository
-            console.log(chalk.green(`✔ Detected submodule. Updating parent repository at ${parentRepoPath}`));
+            output.log(chalk.green(`✔ Detected submodule. Updating parent repository at ${parentRepoPath}`));
 
             const parentGit = simpleGit(parentRepoPath);
 
             // Stage the submodule directory in the parent repository
             const submoduleName = path.basename(repoRoot);
             await parentGit.add(`./${submoduleName}`);
-            console.log(chalk.green(`✔ Staged submodule '${submoduleName}' in parent repository.`));
+            output.log(chalk.green(`✔ Staged submodule '${submoduleName}' in parent repository.`));
 
             // Commit the submodule update in the parent repository
             await parentGit.commit(`Update submodule: "${submoduleName}" - ${commitMessage}`);
-            console.log(chalk.green(`✔ Committed submodule update for '${submoduleName}' to parent repository at ${parentRepoPath}.`));
+            output.log(chalk.green(`✔ Committed submodule update for '${submoduleName}' to parent repository at ${parentRepoPath}.`));
         } else {
-            console.log(chalk.green('✔ No parent repository update needed.'));
+            output.log(chalk.green('✔ No parent repository update needed.'));
         }
     } catch (error) {
-        console.error(chalk.red(`✖ Error committing changes: ${error.message}`));
+        throw error instanceof NotedError ? error : new GitError(error.message, { cause: error });
+    }
+}
+
+export async function commitChanges(currentPath, commitMessage, branchName = 'main') {
+    try {
+        await commitAll(currentPath, commitMessage, branchName);
+    } catch (error) {
+        output.error(chalk.red(`✖ Error committing changes: ${error.message}`), error.exitCode);
     }
 }
@@ -0,0 +1,124 @@
+import fs from 'fs';
+
+const SNIPPET_WIDTH = 120;
+
+// Build the global RegExp used to find matches; plain queries are escaped so they match literally
+export function buildMatcher(query, options = {}) {
+    const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const flags = options.caseSensitive ? 'g' : 'gi';
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        throw new Error(`Invalid regular expression "${query}": ${error.message}`);
+    }
+}
+
+// Find every matching line in a note and return the line numbers and match ranges
+export function searchContent(content, matcher) {
+    const matches = [];
+    const lines = content.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+        const ranges = [];
+        matcher.lastIndex = 0;
+        let match;
+        while ((match = matcher.exec(line)) !== null) {
+            // Guard against zero-length matches looping forever
+            if (match[0].length === 0) {
+                matcher.lastIndex++;
+                continue;
+            }
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+        if (ranges.length > 0) {
+            matches.push({ lineNumber: index + 1, line, ranges });
+        }
+    });
+
+    return matches;
+}
+
+// Score a note: every match counts, matches in headings and in the note name count extra
+export function scoreNote(note, matches, matcher) {
+    let score = 0;
+    for (const match of matches) {
+        score += match.ranges.length;
+        if (match.line.trimStart().startsWith('#')) {
+            score += 2 * match.ranges.length;
+        }
+    }
+    matcher.lastIndex = 0;
+    if (matcher.test(note.name)) {
+        score += 5;
+    }
+    return score;
+}
+
+// Search the given notes and return the matching ones, best match first
+export function searchNotes(notes, matcher) {
+    const results = [];
+
+    for (const note of notes) {
+        const content = fs.readFileSync(note.path, 'utf8');
+        const matches = searchContent(content, matcher);
+        if (matches.length === 0) {
+            continue;
+        }
+        results.push({ note, matches, score: scoreNote(note, matches, matcher) });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+}
+
+// Group ranked results by workspace, then folder, ordering each group by its total score
+export function groupResults(results) {
+    const workspaces = new Map();
+
+    for (const result of results) {
+        const { workspace, folder } = result.note;
+        if (!workspaces.has(workspace)) {
+            workspaces.set(workspace, { name: workspace, score: 0, folders: new Map() });
+        }
+        const workspaceGroup = workspaces.get(workspace);
+        workspaceGroup.score += result.score;
+
+        if (!workspaceGroup.folders.has(folder)) {
+            workspaceGroup.folders.set(folder, { name: folder, score: 0, results: [] });
+        }
+        const folderGroup = workspaceGroup.folders.get(folder);
+        folderGroup.score += result.score;
+        folderGroup.results.push(result);
+    }
+
+    return [...workspaces.values()]
+        .sort((a, b) => b.score - a.score)
+        .map((workspaceGroup) => ({
+            ...workspaceGroup,
+            folders: [...workspaceGroup.folders.values()].sort((a, b) => b.score - a.score),
+        }));
+}
+
+// Cut a long line down to a window around its first match and wrap every match with the highlight function
+export function highlightSnippet(line, ranges, highlight) {
+    let start = 0;
+    let end = line.length;
+    if (line.length > SNIPPET_WIDTH) {
+        start = Math.max(0, ranges[0][0] - Math.floor(SNIPPET_WIDTH / 3));
+        end = Math.min(line.length, start + SNIPPET_WIDTH);
+    }
+
+    let snippet = start > 0 ? '…' : '';
+    let cursor = start;
+    for (const [from, to] of ranges) {
+        if (to <= start || from >= end) {
+            continue;
+        }
+        const clippedFrom = Math.max(from, cursor);
+        const clippedTo = Math.min(to, end);
+        snippet += line.slice(cursor, clippedFrom) + highlight(line.slice(clippedFrom, clippedTo));
+        cursor = clippedTo;
+    }
+    snippet += line.slice(cursor, end) + (end < line.length ? '…' : '');
+
+    return snippet.trim();
+}
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { getNotedRepoRoot, getSubmodules, getWorkspacePath } from './getters.js';
+import { isEncryptedWorkspace } from './crypt.js';
+
+const INDEX_VERSION = 1;
+
+// The index lives in a hidden directory next to .notedconfig and is never committed
+export function getIndexDir(notedRoot) {
+    return path.join(notedRoot, '.noted', 'index');
+}
+
+function getIndexFile(notedRoot) {
+    return path.join(getIndexDir(notedRoot), 'index.json');
+}
+
+export function indexExists(notedRoot) {
+    return fs.existsSync(getIndexFile(notedRoot));
+}
+
+function emptyIndex() {
+    return { version: INDEX_VERSION, updatedAt: null, workspaces: {}, postings: {} };
+}
+
+export function loadIndex(notedRoot) {
+    if (!indexExists(notedRoot)) {
+        return emptyIndex();
+    }
+    try {
+        const index = JSON.parse(fs.readFileSync(getIndexFile(notedRoot), 'utf8'));
+        // Throw away indexes written by an incompatible version
+        return index.version === INDEX_VERSION ? index : emptyIndex();
+    } catch (error) {
+        return emptyIndex();
+    }
+}
+
+function saveIndex(notedRoot, index) {
+    const indexDir = getIndexDir(notedRoot);
+    fs.mkdirSync(indexDir, { recursive: true });
+
+    // Keep the index out of every commit made from the parent repository
+    const gitignorePath = path.join(indexDir, '.gitignore');
+    if (!fs.existsSync(gitignorePath)) {
+        fs.writeFileSync(gitignorePath, '*\n');
+    }
+
+    index.updatedAt = new Date().toISOString();
+    fs.writeFileSync(getIndexFile(notedRoot), JSON.stringify(index));
+}
+
+// Split text into lowercase word tokens and count them
+export function tokenize(text) {
+    const counts = {};
+    for (const token of text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []) {
+        counts[token] = (counts[token] || 0) + 1;
+    }
+    return counts;
+}
+
+function isNotePath(relativePath) {
+    return relativePath.endsWith('.md') && !relativePath.split('/').some(part => part.startsWith('.'));
+}
+
+// Map every note in a workspace to its git blob hash: committed notes come from HEAD,
+// modified and untracked notes are hashed from the working tree
+async function getWorkspaceBlobs(workspacePath) {
+    const git = simpleGit(workspacePath);
+    const blobs = {};
+
+    let head = null;
+    try {
+        head = (await git.revparse(['HEAD'])).trim();
+    } catch (error) {
+        // Workspace without any commit yet
+    }
+
+    if (head) {
+        const tree = await git.raw(['ls-tree', '-r', '-z', head]);
+        for (const entry of tree.split('\0')) {
+            const match = entry.match(/^\d+ blob ([0-9a-f]+)\t(.+)$/);
+            if (match && isNotePath(match[2])) {
+                blobs[match[2]] = match[1];
+            }
+        }
+    }
+
+    const status = await git.raw(['status', '--porcelain', '-z', '--untracked-files=all']);
+    const dirty = [];
+    const entries = status.split('\0');
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (!entry) {
+            continue;
+        }
+        const code = entry.slice(0, 2);
+        const filePath = entry.slice(3);
+        // Renames are followed by their source path, which is gone from the working tree
+        if (code.includes('R') || code.includes('C')) {
+            delete blobs[entries[++i]];
+        }
+        if (!isNotePath(filePath)) {
+            continue;
+        }
+        if (fs.existsSync(path.join(workspacePath, filePath))) {
+            dirty.push(filePath);
+        } else {
+            delete blobs[filePath];
+        }
+    }
+
+    if (dirty.length > 0) {
+        const hashes = (await git.raw(['hash-object', '--', ...dirty])).trim().split('\n');
+        dirty.forEach((filePath, i) => {
+            blobs[filePath] = hashes[i];
+        });
+    }
+
+    return { head, dirty: dirty.length > 0, blobs };
+}
+
+function addPostings(index, fileKey, tokens) {
+    for (const [token, count] of Object.entries(tokens)) {
+        if (!index.postings[token]) {
+            index.postings[token] = {};
+        }
+        index.postings[token][fileKey] = count;
+    }
+}
+
+function removePostings(index, fileKey, tokens) {
+    for (const token of Object.keys(tokens)) {
+        if (!index.postings[token]) {
+            continue;
+        }
+        delete index.postings[token][fileKey];
+        if (Object.keys(index.postings[token]).length === 0) {
+            delete index.postings[token];
+        }
+    }
+}
+
+function removeWorkspace(index, workspaceName) {
+    const entry = index.workspaces[workspaceName];
+    if (!entry) {
+        return;
+    }
+    for (const [relativePath, file] of Object.entries(entry.files)) {
+        removePostings(index, `${workspaceName}/${relativePath}`, file.tokens);
+    }
+    delete index.workspaces[workspaceName];
+}
+
+// Bring a single workspace up to date; only notes whose blob hash changed are re-tokenized
+async function updateWorkspace(index, workspacePath, stats) {
+    const workspaceName = path.basename(workspacePath);
+    const { head, dirty, blobs } = await getWorkspaceBlobs(workspacePath);
+    const entry = index.workspaces[workspaceName] || { commit: null, dirty: false, files: {} };
+
+    // Nothing changed since the last indexed commit
+    if (entry.commit === head && !dirty && !entry.dirty) {
+        index.workspaces[workspaceName] = entry;
+        return;
+    }
+
+    for (const [relativePath, file] of Object.entries(entry.files)) {
+        if (!(relativePath in blobs)) {
+            removePostings(index, `${workspaceName}/${relativePath}`, file.tokens);
+            delete entry.files[relativePath];
+            stats.removed++;
+        }
+    }
+
+    for (const [relativePath, blob] of Object.entries(blobs)) {
+        const previous = entry.files[relativePath];
+        if (previous && previous.blob === blob) {
+            continue;
+        }
+
+        const fileKey = `${workspaceName}/${relativePath}`;
+        if (previous) {
+            removePostings(index, fileKey, previous.tokens);
+        }
+        const tokens = tokenize(fs.readFileSync(path.join(workspacePath, relativePath), 'utf8'));
+        addPostings(index, fileKey, tokens);
+        entry.files[relativePath] = { blob, tokens };
+        stats.tokenized++;
+    }
+
+    entry.commit = head;
+    entry.dirty = dirty;
+    index.workspaces[workspaceName] = entry;
+}
+
+// Refresh the index for every workspace in .gitmodules (or only the given ones) and save it
+export async function refreshIndex(notedRoot, { workspaces = null, rebuild = false } = {}) {
+    const index = rebuild ? emptyIndex() : loadIndex(notedRoot);
+    const stats = { tokenized: 0, removed: 0 };
+
+    // Encrypted workspaces are never indexed, so their words are not stored on disk in clear
+    const submodules = getSubmodules(notedRoot)
+        .filter(workspacePath => fs.existsSync(workspacePath) && !isEncryptedWorkspace(workspacePath));
+    const known = submodules.map(workspacePath => path.basename(workspacePath));
+
+    // Drop workspaces that were deleted or are no longer checked out
+    for (const workspaceName of Object.keys(index.workspaces)) {
+        if (!known.includes(workspaceName)) {
+            removeWorkspace(index, workspaceName);
+        }
+    }
+
+    for (const workspacePath of submodules) {
+        if (workspaces && !workspaces.includes(path.basename(workspacePath))) {
+            continue;
+        }
+        await updateWorkspace(index, workspacePath, stats);
+    }
+
+    saveIndex(notedRoot, index);
+    return { index, stats };
+}
+
+// Keep an existing index current after a command changed notes in the given directory.
+// Does nothing when no index has been built yet, and never fails the calling command.
+export async function refreshIndexFor(currentDir) {
+    try {
+        const notedRoot = getNotedRepoRoot(currentDir);
+        if (!notedRoot || !indexExists(notedRoot)) {
+            return;
+        }
+        const workspacePath = getWorkspacePath(currentDir);
+        await refreshIndex(notedRoot, { workspaces: workspacePath ? [path.basename(workspacePath)] : null });
+    } catch (error) {
+        // The index is only a cache; it is rebuilt on the next search
+    }
+}
+
+// Return the keys ("workspace/relative/path.md") of notes that may contain every word of the query,
+// or null when the query has no words the index can use
+export function findCandidates(index, query) {
+    const queryTokens = Object.keys(tokenize(query));
+    if (queryTokens.length === 0) {
+        return null;
+    }
+
+    const vocabulary = Object.keys(index.postings);
+    let candidates = null;
+
+    for (const queryToken of queryTokens) {
+        // Queries match inside words, so every indexed token containing the query token counts
+        const files = new Set();
+        for (const token of vocabulary) {
+            if (token.includes(queryToken)) {
+                Object.keys(index.postings[token]).forEach(fileKey => files.add(fileKey));
+            }
+        }
+        candidates = candidates ? new Set([...candidates].filter(fileKey => files.has(fileKey))) : files;
+    }
+
+    return candidates;
+}
+
+// Summarize the index for `noted index status`
+export async function getIndexStatus(notedRoot) {
+    const index = loadIndex(notedRoot);
+    const workspaces = [];
+
+    for (const workspacePath of getSubmodules(notedRoot)) {
+        const workspaceName = path.basename(workspacePath);
+        const entry = index.workspaces[workspaceName];
+        if (!fs.existsSync(workspacePath)) {
+            workspaces.push({ name: workspaceName, state: 'missing', files: 0, commit: null });
+            continue;
+        }
+
+        const git = simpleGit(workspacePath);
+        let head = null;
+        try {
+            head = (await git.revparse(['HEAD'])).trim();
+        } catch (error) {
+            // Workspace without any commit yet
+        }
+        const dirty = !(await git.status()).isClean();
+
+        let state = 'up to date';
+        if (isEncryptedWorkspace(workspacePath)) {
+            state = 'encrypted, not indexed';
+        } else if (!entry) {
+            state = 'not indexed';
+        } else if (entry.commit !== head || dirty || entry.dirty) {
+            state = 'stale';
+        }
+
+        workspaces.push({
+            name: workspaceName,
+            state,
+            files: entry ? Object.keys(entry.files).length : 0,
+            commit: entry ? entry.commit : null,
+        });
+    }
+
+    const indexFile = getIndexFile(notedRoot);
+    return {
+        exists: indexExists(notedRoot),
+        path: getIndexDir(notedRoot),
+        size: indexExists(notedRoot) ? fs.statSync(indexFile).size : 0,
+        updatedAt: index.updatedAt,
+        tokens: Object.keys(index.postings).length,
+        workspaces,
+    };
+}
@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { collectReadableNotes } from './notes.js';
+import { commitAll } from './remoteHelpers.js';
+import { refreshIndexFor } from './searchIndex.js';
+import { readMetadata, updateMetadata } from './frontMatter.js';
+import { buildCatalog } from './links.js';
+import { locateNote, getNoteHistory, getNoteAt, diffNote } from './history.js';
+import {
+    ASSETS_DIR, escapeHtml, getPageUrl, createRenderer, buildTree, renderPage, renderNote, renderIndex,
+} from './exportHtml.js';
+
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Same output as formatWordDiff in history.js, as HTML with <ins> and <del>
+function formatWordDiffHtml(output) {
+    let html = '';
+    for (const line of output.split('\n')) {
+        if (/^(diff --git|index |--- |\+\+\+ |new file|deleted file|similarity|rename |@@)/.test(line)) {
+            continue;
+        }
+        if (line.startsWith('~')) {
+            html += '\n';
+        } else if (line.startsWith('+')) {
+            html += `<ins>${escapeHtml(line.slice(1))}</ins>`;
+        } else if (line.startsWith('-')) {
+            html += `<del>${escapeHtml(line.slice(1))}</del>`;
+        } else if (line.startsWith(' ')) {
+            html += escapeHtml(line.slice(1));
+        }
+    }
+    return html;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large.'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+// Pages only run the scripts served from /assets and /search-index.js, so a script that slips into a note
+// still cannot read the editor's token
+function send(res, status, body, contentType = 'text/html; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Cache-Control': 'no-store',
+        'Content-Security-Policy': "script-src 'self'",
+    });
+    res.end(body);
+}
+
+// Serve the notes of a Noted repository: rendered pages, an editor that commits saves, and per-note history.
+// Pages use the same URLs as "noted export html", so wiki links and the search script work unchanged.
+export function createNotedServer(notedRoot, { port }) {
+    const siteName = path.basename(notedRoot);
+    const marked = createRenderer();
+    // Forms carry this token so other sites cannot post edits to the server
+    const token = crypto.randomBytes(16).toString('hex');
+    const allowedHosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+    let saving = Promise.resolve();
+
+    const page = (notes, note, title, content) => renderPage({
+        siteName,
+        title,
+        pageUrl: note ? getPageUrl(note) : 'index.html',
+        tree: buildTree(notes),
+        currentNote: note,
+        content,
+    });
+
+    const toolbar = (note, active) => {
+        const name = escapeHtml(path.posix.basename(getPageUrl(note)));
+        const items = [
+            ['view', `<a href="${name}">View</a>`],
+            ['edit', `<a href="${name}?edit">Edit</a>`],
+            ['history', `<a href="${name}?history">History</a>`],
+        ];
+        return `<div class="toolbar">${items.map(([key, link]) => (key === active ? `<strong>${key[0].toUpperCase()}${key.slice(1)}</strong>` : link)).join('')}</div>`;
+    };
+
+    const editorForm = (note, content, base, notice = '') => `${toolbar(note, 'edit')}
+${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ''}
+<form class="editor" method="post" action="${escapeHtml(path.posix.basename(getPageUrl(note)))}?edit">
+<input type="hidden" name="token" value="${token}">
+<input type="hidden" name="base" value="${base}">
+<textarea name="content" spellcheck="true">${escapeHtml(content)}</textarea>
+<button type="submit">Save and commit</button>
+</form>`;
+
+    async function handleNote(req, res, url, notes, note) {
+        const params = url.searchParams;
+
+        if (req.method === 'POST' && params.has('edit')) {
+            const form = new URLSearchParams(await readBody(req));
+            if (form.get('token') !== token) {
+                send(res, 403, 'Forbidden', 'text/plain; charset=utf-8');
+                return;
+            }
+
+            const content = (form.get('content') || '').replace(/\r\n/g, '\n');
+            let saved = false;
+            let conflict = false;
+            let failure = null;
+            // Saves are committed one at a time; a failed save only fails its own request, not the ones queued after it
+            const run = saving.catch(() => {}).then(async () => {
+                const current = fs.readFileSync(note.path, 'utf8');
+                if (hashContent(current) !== form.get('base')) {
+                    conflict = true;
+                    return;
+                }
+                if (current === content) {
+                    return;
+                }
+                fs.writeFileSync(note.path, content);
+                try {
+                    if (readMetadata(note.path).updated) {
+                        updateMetadata(note.path, data => data);
+                    }
+                } catch (error) {
+                    // Broken front matter is saved as typed
+                }
+                try {
+                    await commitAll(path.dirname(note.path), `Edit note: ${note.name}`);
+                } catch (error) {
+                    // Put the note back so the save can simply be retried
+                    fs.writeFileSync(note.path, current);
+                    failure = error;
+                    return;
+                }
+                await refreshIndexFor(note.path);
+                saved = true;
+            });
+            saving = run;
+            await run;
+
+            if (conflict) {
+                const current = fs.readFileSync(note.path, 'utf8');
+                send(res, 409, page(notes, note, `Edit ${note.name}`, editorForm(note, content, hashContent(current),
+                    'The note changed on disk since you opened it. Saving again replaces those changes with the text below; open the editor again to start from the current version instead.')));
+                return;
+            }
+            if (failure) {
+                send(res, 500, page(notes, note, `Edit ${note.name}`, editorForm(note, content, form.get('base'),
+                    `The note could not be committed, so it was left unchanged: ${failure.message}`)));
+                return;
+            }
+            res.writeHead(303, { Location: `${path.posix.basename(getPageUrl(note))}${saved ? '' : '?unchanged'}` });
+            res.end();
+            return;
+        }
+
+        if (params.has('edit')) {
+            const content = fs.readFileSync(note.path, 'utf8');
+            send(res, 200, page(notes, note, `Edit ${note.name}`, editorForm(note, content, hashContent(content))));
+            return;
+        }
+
+        if (params.has('history') || params.has('rev')) {
+            const located = locateNote(`${note.workspace}:${note.relativePath}`, notedRoot);
+            const history = await getNoteHistory(located);
+
+            if (params.has('rev')) {
+                const entry = history.find(candidate => candidate.hash === params.get('rev'));
+                if (!entry) {
+                    send(res, 404, page(notes, note, note.name, `${toolbar(note, 'history')}<p>No such version of ${escapeHtml(note.name)}.</p>`));
+                    return;
+                }
+                const heading = `<h2>${escapeHtml(entry.shortHash)} · ${escapeHtml(entry.message)}</h2>
+<p class="breadcrumb">${escapeHtml(entry.author)}, ${escapeHtml(entry.date)} · <a href="?rev=${entry.hash}">Version</a> · <a href="?rev=${entry.hash}&amp;diff">Changes since</a></p>`;
+                const body = params.has('diff')
+                    ? `<pre class="diff">${formatWordDiffHtml(await diffNote(located, entry.hash)) || 'No changes since this version.'}</pre>`
+                    : renderNote(note, await getNoteAt(located, entry.hash), buildCatalog(notes), marked).content;
+                send(res, 200, page(notes, note, `${note.name} @ ${entry.shortHash}`, `${toolbar(note, 'history')}${heading}${body}`));
+                return;
+            }
+
+            const rows = history.map(entry => `<tr><td><a href="?rev=${entry.hash}">${escapeHtml(entry.shortHash)}</a></td>
+<td>${escapeHtml(entry.date.slice(0, 16).replace('T', ' '))}</td><td>${escapeHtml(entry.author)}</td><td>${escapeHtml(entry.message)}</td>
+<td><a href="?rev=${entry.hash}&amp;diff">changes since</a></td></tr>`);
+            const table = rows.length > 0
+                ? `<table class="history">${rows.join('\n')}</table>`
+                : '<p>This note has not been committed yet.</p>';
+            send(res, 200, page(notes, note, `History of ${note.name}`, `${toolbar(note, 'history')}<h1>${escapeHtml(note.name)}</h1>\n${table}`));
+            return;
+        }
+
+        const notice = params.has('unchanged') ? '<div class="notice">No changes to save.</div>' : '';
+        const rendered = renderNote(note, fs.readFileSync(note.path, 'utf8'), buildCatalog(notes), marked);
+        send(res, 200, page(notes, note, note.name, `${toolbar(note, 'view')}${notice}${rendered.content}`));
+    }
+
+    async function handle(req, res) {
+        // Only answer requests addressed to localhost, so other sites cannot reach the server through DNS rebinding
+        if (!allowedHosts.includes(req.headers.host)) {
+            send(res, 403, 'Forbidden', 'text/plain; charset=utf-8');
+            return;
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const pathname = decodeURIComponent(url.pathname);
+
+        if (pathname.startsWith('/assets/')) {
+            const asset = pathname.slice('/assets/'.length);
+            if (!fs.readdirSync(ASSETS_DIR).includes(asset)) {
+                send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+                return;
+            }
+            const type = asset.endsWith('.css') ? 'text/css' : 'application/javascript';
+            send(res, 200, fs.readFileSync(path.join(ASSETS_DIR, asset)), `${type}; charset=utf-8`);
+            return;
+        }
+
+        const notes = await collectReadableNotes(notedRoot);
+
+        if (pathname === '/search-index.js') {
+            const catalog = buildCatalog(notes);
+            const entries = notes.map(note => renderNote(note, fs.readFileSync(note.path, 'utf8'), catalog, marked).searchEntry);
+            send(res, 200, `window.NOTED_SEARCH = ${JSON.stringify(entries)};\n`, 'application/javascript; charset=utf-8');
+            return;
+        }
+
+        if (pathname === '/' || pathname === '/index.html') {
+            send(res, 200, page(notes, null, 'Index', renderIndex(notes, buildTree(notes), siteName)));
+            return;
+        }
+
+        // Only notes that exist are served, so the URL can never reach outside the workspaces
+        const note = notes.find(candidate => `/${getPageUrl(candidate)}` === pathname);
+        if (!note) {
+            send(res, 404, page(notes, null, 'Not found', '<h1>Not found</h1><p>There is no note at this address.</p>'));
+            return;
+        }
+        await handleNote(req, res, url, notes, note);
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch((error) => {
+            if (!res.headersSent) {
+                send(res, 500, `<h1>Error</h1><p>${escapeHtml(error.message)}</p>`);
+            } else {
+                res.end();
+            }
+        });
+    });
+}
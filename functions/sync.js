@@ -0,0 +1,265 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import simpleGit from 'simple-git';
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { log } from './output.js';
+import { openInEditor } from './editor.js';
+import * as crypt from './crypt.js';
+
+// Files git could not merge on its own
+export async function getConflictedFiles(git) {
+    const output = await git.raw(['diff', '--name-only', '--diff-filter=U']);
+    return output.split('\n').filter(file => file.trim());
+}
+
+export async function isRebasing(git) {
+    const rebaseMerge = (await git.revparse(['--git-path', 'rebase-merge'])).trim();
+    const rebaseApply = (await git.revparse(['--git-path', 'rebase-apply'])).trim();
+    const gitRoot = (await git.revparse(['--show-toplevel'])).trim();
+    return [rebaseMerge, rebaseApply].some(dir => fs.existsSync(path.resolve(gitRoot, dir)));
+}
+
+// Make sure the repository is on a branch before pulling into it, like commitChanges does before committing
+export async function ensureBranch(git, repoPath, branchName = 'main') {
+    const currentBranch = (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+    if (currentBranch !== 'HEAD') {
+        return currentBranch;
+    }
+    try {
+        await git.checkout(branchName);
+        log(chalk.green(`✔ Checked out branch '${branchName}' in ${repoPath}`));
+    } catch (error) {
+        await git.checkoutLocalBranch(branchName);
+        log(chalk.green(`✔ Created and checked out new branch '${branchName}' in ${repoPath}`));
+    }
+    return branchName;
+}
+
+// Put a freshly checked out submodule on a real branch at the commit the parent records, tracking origin
+export async function attachBranch(repoPath) {
+    const git = simpleGit(repoPath);
+
+    let branch = 'main';
+    try {
+        const remoteHead = (await git.revparse(['--abbrev-ref', 'origin/HEAD'])).trim();
+        if (remoteHead.startsWith('origin/')) {
+            branch = remoteHead.slice('origin/'.length);
+        }
+    } catch (error) {
+        // The remote did not advertise a default branch
+    }
+
+    await git.raw(['checkout', '-q', '-B', branch]);
+    const hasRemoteBranch = (await git.raw(['branch', '-r', '--list', `origin/${branch}`])).trim().length > 0;
+    if (hasRemoteBranch) {
+        await git.raw(['branch', `--set-upstream-to=origin/${branch}`, branch]);
+    }
+    return branch;
+}
+
+// Read one side of a conflicted file from the index (stage 1 = common ancestor, stage 2 = HEAD side,
+// stage 3 = incoming side), decrypted in an encrypted workspace
+async function readStage(git, repoPath, stage, file) {
+    let content;
+    try {
+        content = await git.binaryCatFile(['blob', `:${stage}:${file}`]);
+    } catch (error) {
+        return null; // This side deleted the file
+    }
+    return crypt.decryptBlob(repoPath, content);
+}
+
+// Walk the user through every conflicted note: keep mine, keep theirs, or edit both in the editor.
+// Returns false when the user chose to abort, or right away when there is nobody to ask.
+async function resolveConflicts(git, repoPath, rebasing, interactive) {
+    // Conflicts need someone to look at them; without prompts the sync is aborted and left for later
+    const conflicted = await getConflictedFiles(git);
+    if (conflicted.length > 0 && !interactive) {
+        log(chalk.yellow(`⚠ Conflicts in ${path.basename(repoPath)} need to be resolved; run "noted sync" in a terminal.`));
+        return false;
+    }
+
+    // The sides of an encrypted workspace's conflicts can only be shown and kept once it is unlocked
+    if (conflicted.length > 0 && crypt.isEncryptedWorkspace(repoPath) && !(await crypt.isUnlocked(repoPath))) {
+        log(chalk.yellow(`⚠ ${path.basename(repoPath)} is encrypted and locked; run "noted crypt unlock" before syncing it.`));
+        return false;
+    }
+
+    // While rebasing, git's "ours" is the upstream and "theirs" is the local commit being replayed
+    const mineStage = rebasing ? 3 : 2;
+    const theirsStage = rebasing ? 2 : 3;
+
+    for (const file of conflicted) {
+        const filePath = path.join(repoPath, file);
+        const mine = await readStage(git, repoPath, mineStage, file);
+        const theirs = await readStage(git, repoPath, theirsStage, file);
+
+        let resolved = false;
+        while (!resolved) {
+            const { choice } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'choice',
+                    message: `Conflict in "${file}" (${path.basename(repoPath)}). How do you want to resolve it?`,
+                    choices: [
+                        { name: mine === null ? 'Keep mine (deleted)' : 'Keep mine', value: 'mine' },
+                        { name: theirs === null ? 'Keep theirs (deleted)' : 'Keep theirs', value: 'theirs' },
+                        { name: 'Open both in the editor', value: 'edit' },
+                        { name: 'Abort sync', value: 'abort' },
+                    ],
+                }
+            ]);
+
+            if (choice === 'abort') {
+                return false;
+            }
+
+            if (choice === 'edit') {
+                // Show each side next to the file with conflict markers; the user saves the merged result in the note
+                const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noted-sync-'));
+                const minePath = path.join(tempDir, `MINE-${path.basename(file)}`);
+                const theirsPath = path.join(tempDir, `THEIRS-${path.basename(file)}`);
+                fs.writeFileSync(minePath, mine || '');
+                fs.writeFileSync(theirsPath, theirs || '');
+                if (!fs.existsSync(filePath)) {
+                    fs.writeFileSync(filePath, mine || theirs || '');
+                } else if (mine !== null && theirs !== null && fs.readFileSync(filePath).includes(crypt.MAGIC)) {
+                    // Git merged the ciphertext (a workspace set up before the merge driver); merge the notes instead
+                    const base = await readStage(git, repoPath, 1, file);
+                    fs.writeFileSync(filePath, crypt.mergeContent(mine, base, theirs, { labels: ['mine', 'theirs'] }).content);
+                }
+                openInEditor([filePath, minePath, theirsPath]);
+                fs.rmSync(tempDir, { recursive: true, force: true });
+
+                if (/^(<{7}|={7}|>{7})( |$)/m.test(fs.readFileSync(filePath, 'utf8'))) {
+                    log(chalk.yellow(`⚠ "${file}" still contains conflict markers.`));
+                    continue;
+                }
+                await git.add(file);
+                resolved = true;
+                continue;
+            }
+
+            const content = choice === 'mine' ? mine : theirs;
+            if (content === null) {
+                await git.raw(['rm', '-q', '--', file]);
+            } else {
+                fs.writeFileSync(filePath, content);
+                await git.add(file);
+            }
+            resolved = true;
+        }
+        log(chalk.green(`✔ Resolved: ${file}`));
+    }
+
+    return true;
+}
+
+// Submodule pointers in the parent cannot be merged by hand: take whatever the workspace has checked out
+async function resolveSubmoduleConflicts(git, repoPath) {
+    for (const file of await getConflictedFiles(git)) {
+        const stage = await git.raw(['ls-files', '-u', '--', file]);
+        if (stage.startsWith('160000')) {
+            await git.add(file);
+            log(chalk.green(`✔ Resolved workspace pointer: ${file}`));
+        }
+    }
+}
+
+// Fetch the remote branch and rebase (or merge) the local branch onto it, resolving conflicts with the user
+// when interactive, or aborting when not
+export async function pullRepository(repoPath, { merge = false, isParent = false, interactive = false } = {}) {
+    const git = simpleGit(repoPath);
+    const name = path.basename(repoPath);
+
+    const gitRemotes = await git.getRemotes(true);
+    if (!gitRemotes.some(remote => remote.name === 'origin')) {
+        log(chalk.yellow(`⚠ "${name}" has no remote origin. Skipping pull.`));
+        return 'no-remote';
+    }
+
+    const branch = await ensureBranch(git, repoPath);
+    await git.fetch('origin');
+    log(chalk.green(`✔ Fetched origin in "${name}".`));
+
+    const remoteBranch = `origin/${branch}`;
+    const hasRemoteBranch = (await git.raw(['branch', '-r', '--list', remoteBranch])).trim().length > 0;
+    if (!hasRemoteBranch) {
+        log(chalk.yellow(`⚠ "${name}" has no ${remoteBranch} yet. Nothing to pull.`));
+        return 'up-to-date';
+    }
+
+    const behind = parseInt((await git.raw(['rev-list', '--count', `HEAD..${remoteBranch}`])).trim(), 10);
+    if (behind === 0) {
+        log(chalk.green(`✔ "${name}" is up to date with ${remoteBranch}.`));
+        return 'up-to-date';
+    }
+
+    try {
+        if (merge) {
+            await git.raw(['merge', '--no-edit', remoteBranch]);
+        } else {
+            await git.raw(['rebase', remoteBranch]);
+        }
+    } catch (error) {
+        // Conflicts are handled below; anything else is a real failure
+        if ((await getConflictedFiles(git)).length === 0) {
+            throw error;
+        }
+    }
+
+    // Resolve conflicts until the rebase (which replays one commit at a time) or the merge is done
+    while ((await getConflictedFiles(git)).length > 0) {
+        const rebasing = await isRebasing(git);
+        if (isParent) {
+            await resolveSubmoduleConflicts(git, repoPath);
+        }
+
+        const completed = await resolveConflicts(git, repoPath, rebasing, interactive);
+        if (!completed) {
+            await git.raw([rebasing ? 'rebase' : 'merge', '--abort']);
+            log(chalk.yellow(`⚠ Sync of "${name}" aborted. Nothing was changed.`));
+            return 'aborted';
+        }
+
+        try {
+            if (rebasing) {
+                await git.env({ ...process.env, GIT_EDITOR: 'true' }).raw(['rebase', '--continue']);
+            } else {
+                await git.raw(['commit', '--no-edit']);
+            }
+        } catch (error) {
+            if ((await getConflictedFiles(git)).length === 0 && await isRebasing(git)) {
+                throw error;
+            }
+        }
+    }
+
+    log(chalk.green(`✔ ${merge ? 'Merged' : 'Rebased onto'} ${remoteBranch} in "${name}".`));
+    return 'pulled';
+}
+
+// Push the current branch to origin when there is anything to push
+export async function pushRepository(repoPath) {
+    const git = simpleGit(repoPath);
+    const name = path.basename(repoPath);
+
+    const gitRemotes = await git.getRemotes(true);
+    if (!gitRemotes.some(remote => remote.name === 'origin')) {
+        return false;
+    }
+
+    const branch = (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+    const hasRemoteBranch = (await git.raw(['branch', '-r', '--list', `origin/${branch}`])).trim().length > 0;
+    const ahead = hasRemoteBranch ? parseInt((await git.raw(['rev-list', '--count', `origin/${branch}..HEAD`])).trim(), 10) : 1;
+    if (ahead === 0) {
+        log(chalk.yellow(`⚠ No new commits to push in "${name}".`));
+        return false;
+    }
+
+    await git.push('origin', branch);
+    log(chalk.green(`✔ Pushed "${name}" to origin/${branch}.`));
+    return true;
+}
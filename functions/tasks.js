@@ -0,0 +1,125 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { noteLinkId } from './links.js';
+import { NotFoundError, InvalidArgumentError } from './errors.js';
+import { readMetadata, updateMetadata } from './frontMatter.js';
+import { formatDate, addDays, parseJournalDate } from './journal.js';
+
+// "- [ ] text", "* [x] text" or "1. [ ] text", at any indentation
+const TASK_REGEX = /^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\](\s+.*)?$/;
+const DUE_REGEX = /@due\((\d{4}-\d{2}-\d{2})\)/;
+const TAG_REGEX = /(^|\s)#([\p{L}\p{N}_/-]*\p{L}[\p{L}\p{N}_/-]*)/gu;
+
+// #high/#p1 beat #medium/#p2 beat #low/#p3; tasks without a priority sort last
+const PRIORITIES = { high: 1, p1: 1, medium: 2, p2: 2, low: 3, p3: 3 };
+export const PRIORITY_NAMES = { 1: 'high', 2: 'medium', 3: 'low' };
+
+// Ids stay the same while a task's text is unchanged, even when lines around it move
+function taskId(note, text, occurrence) {
+    return crypto.createHash('sha1').update(`${noteLinkId(note)}\n${text}\n${occurrence}`).digest('hex').slice(0, 7);
+}
+
+// Find every checkbox in a note with its @due(date) and #tag annotations, skipping fenced code blocks
+export function parseTasks(content, note) {
+    const tasks = [];
+    const seen = new Map();
+    let inCodeBlock = false;
+
+    content.split('\n').forEach((line, index) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        const match = !inCodeBlock && line.match(TASK_REGEX);
+        if (!match) {
+            return;
+        }
+
+        // Empty checkboxes are placeholders left by templates
+        const raw = (match[3] || '').trim();
+        if (!raw) {
+            return;
+        }
+        const tags = [...raw.matchAll(TAG_REGEX)].map(tagMatch => tagMatch[2].toLowerCase());
+        const priority = Math.min(...tags.map(tag => PRIORITIES[tag] || Infinity));
+        const due = (raw.match(DUE_REGEX) || [])[1] || null;
+        const text = raw.replace(DUE_REGEX, '').replace(TAG_REGEX, '$1').replace(/\s+/g, ' ').trim();
+
+        const occurrence = seen.get(raw) || 0;
+        seen.set(raw, occurrence + 1);
+
+        tasks.push({
+            id: taskId(note, raw, occurrence),
+            note,
+            lineNumber: index + 1,
+            line,
+            done: match[2] !== ' ',
+            text: text || raw,
+            due,
+            priority: Number.isFinite(priority) ? priority : null,
+            tags: tags.filter(tag => !PRIORITIES[tag]),
+        });
+    });
+
+    return tasks;
+}
+
+export function collectTasks(notes) {
+    const tasks = [];
+    for (const note of notes) {
+        tasks.push(...parseTasks(fs.readFileSync(note.path, 'utf8'), note));
+    }
+    return tasks;
+}
+
+// Turn a --due filter into the last day that still matches: today, tomorrow, week (next 7 days), overdue or a date
+export function getDueLimit(value) {
+    const today = parseJournalDate('today');
+    switch (value.toLowerCase()) {
+    case 'overdue':
+        return formatDate(addDays(today, -1));
+    case 'week':
+        return formatDate(addDays(today, 7));
+    default:
+        return formatDate(parseJournalDate(value));
+    }
+}
+
+// Open tasks first by due date (undated last), then by priority
+export function compareTasks(a, b) {
+    return (a.due || '9999').localeCompare(b.due || '9999')
+        || (a.priority || 9) - (b.priority || 9)
+        || noteLinkId(a.note).localeCompare(noteLinkId(b.note))
+        || a.lineNumber - b.lineNumber;
+}
+
+// Find a task by its id or an unambiguous prefix of it
+export function findTask(tasks, id) {
+    const matches = tasks.filter(task => task.id.startsWith(id.toLowerCase()));
+    if (matches.length === 0) {
+        throw new NotFoundError(`No task with id '${id}'. Run "noted tasks" to see the ids.`);
+    }
+    if (matches.length > 1) {
+        throw new InvalidArgumentError(`Task id '${id}' is ambiguous; use more characters.`);
+    }
+    return matches[0];
+}
+
+// Tick the checkbox of a task in its note, checking the line did not change since it was read,
+// and bump the note's "updated" date when it has front matter
+export function completeTask(task) {
+    const lines = fs.readFileSync(task.note.path, 'utf8').split('\n');
+    if (lines[task.lineNumber - 1] !== task.line) {
+        throw new Error(`The task in ${noteLinkId(task.note)} changed while it was being completed; try again.`);
+    }
+    lines[task.lineNumber - 1] = task.line.replace(TASK_REGEX, (raw, prefix, mark, rest = '') => `${prefix}[x]${rest}`);
+    fs.writeFileSync(task.note.path, lines.join('\n'));
+
+    try {
+        if (readMetadata(task.note.path).updated) {
+            updateMetadata(task.note.path, data => data);
+        }
+    } catch (error) {
+        // Broken front matter is left alone; the checkbox is ticked either way
+    }
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { fileURLToPath } from 'url';
+import { getNotedRepoRoot, getWorkspacePath } from './getters.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, '../template/notes');
+
+// Template folders in lookup order: the current workspace, the Noted repository root, then the built-ins
+export function getTemplateDirs(currentDir) {
+    const dirs = [];
+
+    const workspacePath = getWorkspacePath(currentDir);
+    if (workspacePath) {
+        dirs.push({ scope: 'workspace', dir: path.join(workspacePath, '.noted', 'templates') });
+    }
+
+    const notedRoot = getNotedRepoRoot(currentDir);
+    if (notedRoot) {
+        dirs.push({ scope: 'root', dir: path.join(notedRoot, '.noted', 'templates') });
+    }
+
+    dirs.push({ scope: 'built-in', dir: BUILT_IN_TEMPLATES_DIR });
+    return dirs;
+}
+
+// List every available template; a template defined in an earlier folder hides the ones after it
+export function listTemplates(currentDir) {
+    const templates = new Map();
+
+    for (const { scope, dir } of getTemplateDirs(currentDir)) {
+        if (!fs.existsSync(dir)) {
+            continue;
+        }
+        for (const file of fs.readdirSync(dir)) {
+            if (!file.endsWith('.md')) {
+                continue;
+            }
+            const name = file.replace(/\.md$/, '');
+            if (!templates.has(name)) {
+                templates.set(name, { name, scope, path: path.join(dir, file), overrides: [] });
+            } else {
+                templates.get(name).overrides.push(scope);
+            }
+        }
+    }
+
+    return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Find the template file for a name, or null if no folder defines it
+export function resolveTemplate(name, currentDir) {
+    const fileName = name.endsWith('.md') ? name : `${name}.md`;
+    for (const { scope, dir } of getTemplateDirs(currentDir)) {
+        const templatePath = path.join(dir, fileName);
+        if (fs.existsSync(templatePath)) {
+            return { name: fileName.replace(/\.md$/, ''), scope, path: templatePath };
+        }
+    }
+    return null;
+}
+
+// Collect the values available to templates for a note created in the given directory (for the given day)
+export async function getTemplateVariables(currentDir, title, now = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+
+    const workspacePath = getWorkspacePath(currentDir);
+    const folder = workspacePath ? path.relative(workspacePath, currentDir).split(path.sep).join('/') : '';
+
+    let author = '';
+    try {
+        author = (await simpleGit(currentDir).getConfig('user.name')).value || '';
+    } catch (error) {
+        // No git user configured
+    }
+
+    return {
+        title,
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+        weekday: now.toLocaleDateString('en-US', { weekday: 'long' }),
+        workspace: workspacePath ? path.basename(workspacePath) : '',
+        folder,
+        author,
+    };
+}
+
+// Replace {{variable}} placeholders; unknown variables are left as they are
+export function renderTemplate(content, variables) {
+    return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => (Object.hasOwn(variables, key) ? variables[key] : placeholder));
+}
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { getSubmodules } from './getters.js';
+
+const LOG_FORMAT = '--format=%x1e%H%x1f%h%x1f%aI%x1f%s';
+
+// Read the commits of a repository that deleted files; renames are not deletions and are left out
+async function getDeletions(repoPath) {
+    const git = simpleGit(repoPath);
+    let output = '';
+    try {
+        output = await git.raw(['log', '--diff-filter=D', '--name-only', LOG_FORMAT]);
+    } catch (error) {
+        return []; // Repository without commits
+    }
+
+    return output.split('\x1e').filter(entry => entry.trim()).map((entry) => {
+        const [header, ...files] = entry.split('\n');
+        const [hash, shortHash, date, message] = header.split('\x1f');
+        return { hash, shortHash, date, message, files: files.filter(file => file.trim()) };
+    });
+}
+
+// Find the URL a submodule was registered with just before the given commit removed it
+async function getRemovedSubmodule(parentGit, commit, submodulePath) {
+    const tree = (await parentGit.raw(['ls-tree', `${commit}^`, '--', submodulePath])).trim();
+    const match = tree.match(/^160000 commit ([0-9a-f]+)\t/);
+    if (!match) {
+        return null;
+    }
+
+    let url = null;
+    try {
+        const gitmodules = await parentGit.show([`${commit}^:.gitmodules`]);
+        const blocks = gitmodules.split(/^\[submodule /m);
+        for (const block of blocks) {
+            const pathMatch = block.match(/path\s*=\s*(.+)/);
+            const urlMatch = block.match(/url\s*=\s*(.+)/);
+            if (pathMatch && urlMatch && pathMatch[1].trim() === submodulePath) {
+                url = urlMatch[1].trim();
+            }
+        }
+    } catch (error) {
+        // No .gitmodules at that commit
+    }
+
+    return { commit: match[1], url };
+}
+
+function getEntryType(message) {
+    if (message.startsWith('Delete note:')) {
+        return 'note';
+    }
+    if (message.startsWith('Delete folder:')) {
+        return 'folder';
+    }
+    return 'files';
+}
+
+// Collect everything deleted from the parent repository and every workspace that has not come back since.
+// Ids are "<workspace>@<commit>" for notes and folders and "@<commit>" for workspaces.
+export async function listTrash(notedRoot) {
+    const entries = [];
+    const parentGit = simpleGit(notedRoot);
+
+    for (const deletion of await getDeletions(notedRoot)) {
+        const workspaces = [];
+        const files = [];
+        for (const file of deletion.files) {
+            const submodule = await getRemovedSubmodule(parentGit, deletion.hash, file);
+            if (submodule) {
+                workspaces.push({ name: file, ...submodule });
+            } else if (file !== '.gitmodules') {
+                files.push(file);
+            }
+        }
+
+        const missingWorkspaces = workspaces.filter(workspace => !fs.existsSync(path.join(notedRoot, workspace.name)));
+        const missingFiles = files.filter(file => !fs.existsSync(path.join(notedRoot, file)));
+        if (missingWorkspaces.length === 0 && missingFiles.length === 0) {
+            continue;
+        }
+
+        entries.push({
+            id: `@${deletion.shortHash}`,
+            repoPath: notedRoot,
+            workspace: null,
+            type: missingWorkspaces.length > 0 ? 'workspace' : 'files',
+            hash: deletion.hash,
+            date: deletion.date,
+            message: deletion.message,
+            workspaces: missingWorkspaces,
+            files: missingFiles,
+        });
+    }
+
+    for (const workspacePath of getSubmodules(notedRoot)) {
+        if (!fs.existsSync(workspacePath)) {
+            continue;
+        }
+        const workspaceName = path.basename(workspacePath);
+
+        for (const deletion of await getDeletions(workspacePath)) {
+            // Notes moved to another workspace were not deleted
+            if (deletion.message.startsWith('Move ')) {
+                continue;
+            }
+            const missingFiles = deletion.files.filter(file => !fs.existsSync(path.join(workspacePath, file)));
+            if (missingFiles.length === 0) {
+                continue;
+            }
+
+            entries.push({
+                id: `${workspaceName}@${deletion.shortHash}`,
+                repoPath: workspacePath,
+                workspace: workspaceName,
+                type: getEntryType(deletion.message),
+                hash: deletion.hash,
+                date: deletion.date,
+                message: deletion.message,
+                workspaces: [],
+                files: missingFiles,
+            });
+        }
+    }
+
+    return entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// Bring back the files of a trash entry as they were just before they were deleted
+export async function restoreFiles(entry) {
+    if (entry.files.length === 0) {
+        return [];
+    }
+    const git = simpleGit(entry.repoPath);
+    await git.raw(['checkout', `${entry.hash}^`, '--', ...entry.files]);
+    return entry.files;
+}
+
+// Re-add a deleted workspace as a submodule, reusing its git directory in .git/modules when it is still there
+export async function restoreWorkspace(notedRoot, workspace) {
+    const parentGit = simpleGit(notedRoot);
+    const gitDir = path.join(notedRoot, '.git', 'modules', workspace.name);
+
+    if (!workspace.url) {
+        throw new Error(`Could not find where workspace '${workspace.name}' came from.`);
+    }
+    if (!fs.existsSync(gitDir) && !fs.existsSync(workspace.url) && !/^[\w+.-]+:/.test(workspace.url)) {
+        throw new Error(`The repository of workspace '${workspace.name}' no longer exists (${workspace.url}).`);
+    }
+
+    await parentGit.raw(['submodule', 'add', '--force', workspace.url, workspace.name]);
+
+    // Check out the commit the parent pointed at, on the main branch when it is there
+    const workspaceGit = simpleGit(path.join(notedRoot, workspace.name));
+    const branches = await workspaceGit.branchLocal();
+    const mainCommit = branches.branches.main ? (await workspaceGit.revparse(['main'])).trim() : null;
+    if (mainCommit === workspace.commit) {
+        await workspaceGit.checkout('main');
+    } else {
+        await workspaceGit.checkout(workspace.commit);
+    }
+}
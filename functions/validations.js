@@ -28,3 +28,8 @@ export function isValidUrl(url) {
         return false;
     }
 }
+
+// A git remote: a URL, or the scp-like form git also accepts (git@github.com:user/notes.git)
+export function isValidRemote(remote) {
+    return isValidUrl(remote) || /^[^/\s]+@[^:\s]+:/.test(remote);
+}
@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import simpleGit from 'simple-git';
+import { commitChanges } from './remoteHelpers.js';
+import { getConflictedFiles, isRebasing, pushRepository } from './sync.js';
+import { refreshIndexFor } from './searchIndex.js';
+import { error as printError } from './output.js';
+
+// The pidfile and log live next to the search index and are never committed
+export function getWatchDir(notedRoot) {
+    return path.join(notedRoot, '.noted', 'watch');
+}
+
+function getStateFile(notedRoot) {
+    return path.join(getWatchDir(notedRoot), 'watch.json');
+}
+
+export function getLogFile(notedRoot) {
+    return path.join(getWatchDir(notedRoot), 'watch.log');
+}
+
+export function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// The running watcher's state, or null; a pidfile left behind by a crashed watcher is removed
+export function readWatchState(notedRoot) {
+    const stateFile = getStateFile(notedRoot);
+    if (!fs.existsSync(stateFile)) {
+        return null;
+    }
+    try {
+        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        if (isProcessAlive(state.pid)) {
+            return state;
+        }
+    } catch (error) {
+        // Unreadable pidfile; treat it as stale
+    }
+    fs.rmSync(stateFile, { force: true });
+    return null;
+}
+
+export function writeWatchState(notedRoot, state) {
+    const watchDir = getWatchDir(notedRoot);
+    fs.mkdirSync(watchDir, { recursive: true });
+
+    const gitignorePath = path.join(watchDir, '.gitignore');
+    if (!fs.existsSync(gitignorePath)) {
+        fs.writeFileSync(gitignorePath, '*\n');
+    }
+    fs.writeFileSync(getStateFile(notedRoot), JSON.stringify(state, null, 2));
+}
+
+export function removeWatchState(notedRoot) {
+    fs.rmSync(getStateFile(notedRoot), { force: true });
+}
+
+function countWords(text) {
+    return (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+}
+
+// Summarize the uncommitted changes of a workspace as a commit message, e.g.
+// "Auto-commit: update standup, add retro (+42/-7 words)"; returns null when there is nothing to commit
+export async function describeChanges(repoPath) {
+    const git = simpleGit(repoPath);
+    const lines = (await git.raw(['status', '--porcelain', '-uall'])).split('\n').filter(Boolean);
+    if (lines.length === 0) {
+        return null;
+    }
+
+    const actions = { add: [], update: [], delete: [] };
+    const untracked = [];
+    for (const line of lines) {
+        const status = line.slice(0, 2);
+        const file = line.slice(3).split(' -> ').pop().replace(/^"|"$/g, '');
+        const name = path.basename(file).replace(/\.md$/, '');
+        if (status === '??') {
+            actions.add.push(name);
+            untracked.push(file);
+        } else if (status.includes('D')) {
+            actions.delete.push(name);
+        } else if (status.includes('A')) {
+            actions.add.push(name);
+        } else {
+            actions.update.push(name);
+        }
+    }
+
+    // Word delta from a word diff of tracked files, plus every word of new files
+    let added = 0;
+    let removed = 0;
+    try {
+        const diff = await git.raw(['diff', 'HEAD', '--word-diff=porcelain', '--no-color', '--', '*.md']);
+        for (const line of diff.split('\n')) {
+            if (line.startsWith('+') && !line.startsWith('+++')) {
+                added += countWords(line.slice(1));
+            } else if (line.startsWith('-') && !line.startsWith('---')) {
+                removed += countWords(line.slice(1));
+            }
+        }
+    } catch (error) {
+        // No commit yet to compare with
+    }
+    for (const file of untracked.filter(candidate => candidate.endsWith('.md'))) {
+        try {
+            added += countWords(fs.readFileSync(path.join(repoPath, file), 'utf8'));
+        } catch (error) {
+            // Removed again before it could be read
+        }
+    }
+
+    const summary = lines.length > 3
+        ? `${lines.length} files changed`
+        : Object.entries(actions).filter(([, names]) => names.length > 0).map(([action, names]) => `${action} ${names.join(', ')}`).join('; ');
+    return { files: lines.length, message: `Auto-commit: ${summary} (+${added}/-${removed} words)` };
+}
+
+// Commit a workspace's pending edits unless a sync is in the middle of a rebase or merge
+async function autoCommit(workspacePath, onCommit) {
+    const git = simpleGit(workspacePath);
+    if (await isRebasing(git) || (await getConflictedFiles(git)).length > 0) {
+        console.log(chalk.yellow(`⚠ Skipping auto-commit in "${path.basename(workspacePath)}": a rebase or merge is in progress.`));
+        return false;
+    }
+
+    const changes = await describeChanges(workspacePath);
+    if (!changes) {
+        return true;
+    }
+
+    await commitChanges(workspacePath, changes.message);
+    await refreshIndexFor(workspacePath);
+    onCommit(path.basename(workspacePath), changes.message);
+    return true;
+}
+
+// Watch workspaces for edits, batch them into one commit per workspace once saves settle down,
+// and optionally push every pushInterval ms. Returns a function that flushes pending edits and stops.
+export function watchWorkspaces(notedRoot, workspacePaths, { debounce = 5000, pushInterval = 0, onCommit = () => {} } = {}) {
+    const timers = new Map();
+    const watchers = [];
+    let queue = Promise.resolve();
+
+    // Git operations run one at a time, in the order they were triggered
+    const enqueue = (task) => {
+        queue = queue.then(task).catch((error) => {
+            printError(chalk.red('✖ Error in watcher: ') + error.message);
+        });
+        return queue;
+    };
+
+    const schedule = (workspacePath) => {
+        clearTimeout(timers.get(workspacePath));
+        timers.set(workspacePath, setTimeout(() => {
+            timers.delete(workspacePath);
+            enqueue(async () => {
+                if (!(await autoCommit(workspacePath, onCommit))) {
+                    schedule(workspacePath);
+                }
+            });
+        }, debounce));
+    };
+
+    for (const workspacePath of workspacePaths) {
+        const watcher = fs.watch(workspacePath, { recursive: true }, (eventType, filename) => {
+            // Ignore .git, .noted and other hidden files and folders
+            if (!filename || filename.split(path.sep).some(segment => segment.startsWith('.'))) {
+                return;
+            }
+            schedule(workspacePath);
+        });
+        watchers.push(watcher);
+    }
+
+    const pushTimer = pushInterval > 0
+        ? setInterval(() => enqueue(async () => {
+            for (const workspacePath of workspacePaths) {
+                await pushRepository(workspacePath);
+            }
+            await pushRepository(notedRoot);
+        }), pushInterval)
+        : null;
+
+    // Pick up edits made while the watcher was not running
+    workspacePaths.forEach(schedule);
+
+    return async function stop() {
+        watchers.forEach(watcher => watcher.close());
+        clearInterval(pushTimer);
+        for (const [workspacePath, timer] of timers) {
+            clearTimeout(timer);
+            enqueue(() => autoCommit(workspacePath, onCommit));
+        }
+        timers.clear();
+        await queue;
+    };
+}
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import simpleGit from 'simple-git';
+import { execSync } from 'child_process';
+import { getSubmodules, getArchivedWorkspaces } from './getters.js';
+import { readNotedConfig, writeNotedConfig } from './config.js';
+import { collectAllNotes } from './notes.js';
+import { parseLinks, noteLinkId } from './links.js';
+import { commitChanges } from './remoteHelpers.js';
+import { indexExists, refreshIndex } from './searchIndex.js';
+
+// Find a checked-out workspace by name, or throw with a message that says why it cannot be used
+export function requireWorkspace(notedRoot, workspaceName) {
+    if (getArchivedWorkspaces(notedRoot).includes(workspaceName)) {
+        throw new Error(`Workspace '${workspaceName}' is archived. Run "noted workspace unarchive ${workspaceName}" first.`);
+    }
+    const workspacePath = getSubmodules(notedRoot).find(submodule => path.basename(submodule) === workspaceName);
+    if (!workspacePath || !fs.existsSync(workspacePath)) {
+        throw new Error(`Workspace '${workspaceName}' does not exist.`);
+    }
+    return workspacePath;
+}
+
+// Workspaces created with "workspace add" keep their .git folder inside the workspace;
+// move it under the parent's .git/modules so the workspace can be moved or deinitialized safely
+async function absorbGitDir(notedRoot, workspaceName) {
+    await simpleGit(notedRoot).raw(['submodule', 'absorbgitdirs', '--', workspaceName]);
+}
+
+// Rename a GitHub repository with the gh CLI and return its new URL, or null when origin is not on GitHub
+function renameGithubRepository(workspacePath, newName) {
+    const originUrl = execSync('git remote get-url origin', { cwd: workspacePath, encoding: 'utf8' }).trim();
+    const match = originUrl.match(/github\.com[:/]([^/]+)\/([^/]+?)(\.git)?$/);
+    if (!match) {
+        return null;
+    }
+
+    execSync(`gh repo rename ${newName} --repo ${match[1]}/${match[2]} --yes`, { stdio: 'ignore' });
+    const newUrl = originUrl.replace(/[^/:]+?(\.git)?$/, `${newName}$1`);
+    console.log(chalk.green(`✔ Renamed GitHub repository to ${match[1]}/${newName}`));
+    return newUrl;
+}
+
+// Point [[Old:note]] links in every workspace at the renamed workspace, committing each workspace that changed
+async function renameWorkspaceLinks(notedRoot, oldName, newName) {
+    const changedWorkspaces = new Set();
+
+    for (const note of collectAllNotes(notedRoot)) {
+        const content = fs.readFileSync(note.path, 'utf8');
+        const links = parseLinks(content).filter(link => link.workspace && link.workspace.toLowerCase() === oldName.toLowerCase());
+        if (links.length === 0) {
+            continue;
+        }
+
+        const lines = content.split('\n');
+        for (const link of links) {
+            const newTarget = link.targetRaw.replace(/^(\s*)[^:]+:/, `$1${newName}:`);
+            const newRaw = `[[${newTarget}${link.raw.slice(2 + link.targetRaw.length)}`;
+            lines[link.lineNumber - 1] = lines[link.lineNumber - 1].split(link.raw).join(newRaw);
+        }
+        fs.writeFileSync(note.path, lines.join('\n'));
+        console.log(chalk.green(`✔ Updated ${links.length} link(s) in ${noteLinkId(note)}`));
+        changedWorkspaces.add(path.join(notedRoot, note.workspace));
+    }
+
+    for (const workspacePath of changedWorkspaces) {
+        await commitChanges(workspacePath, `Update links after renaming workspace: ${oldName} -> ${newName}`);
+    }
+}
+
+// Rename a workspace: its folder, its .gitmodules entry, its git directory under .git/modules,
+// the .notedconfig entries that name it and the links that point into it
+export async function renameWorkspace(notedRoot, oldName, newName, { github = false } = {}) {
+    const oldPath = requireWorkspace(notedRoot, oldName);
+    const newPath = path.join(notedRoot, newName);
+    if (!newName || newName.includes('/') || newName.includes(path.sep) || newName.startsWith('.')) {
+        throw new Error(`'${newName}' is not a valid workspace name.`);
+    }
+    if (fs.existsSync(newPath)) {
+        throw new Error(`'${newName}' already exists in the Noted repository.`);
+    }
+
+    const remoteUrl = github ? renameGithubRepository(oldPath, newName) : null;
+    if (github && !remoteUrl) {
+        console.log(chalk.yellow(`⚠ Workspace '${oldName}' is not hosted on GitHub; only the local workspace is renamed.`));
+    }
+
+    const parentGit = simpleGit(notedRoot);
+    await absorbGitDir(notedRoot, oldName);
+
+    // git mv moves the folder and fixes the "path" entry and the worktree setting
+    await parentGit.raw(['mv', oldName, newName]);
+
+    // Move the git directory so .git/modules keeps matching the workspace name
+    const gitDir = (await parentGit.revparse(['--absolute-git-dir'])).trim();
+    const oldModuleDir = path.join(gitDir, 'modules', oldName);
+    const newModuleDir = path.join(gitDir, 'modules', newName);
+    fs.renameSync(oldModuleDir, newModuleDir);
+    fs.writeFileSync(path.join(newPath, '.git'), `gitdir: ${path.relative(newPath, newModuleDir)}\n`);
+    await parentGit.raw(['config', '-f', path.join(newModuleDir, 'config'), 'core.worktree', path.relative(newModuleDir, newPath)]);
+
+    // Rename the submodule itself in .gitmodules and .git/config
+    await parentGit.raw(['config', '-f', '.gitmodules', '--rename-section', `submodule.${oldName}`, `submodule.${newName}`]);
+    try {
+        await parentGit.raw(['config', '--rename-section', `submodule.${oldName}`, `submodule.${newName}`]);
+    } catch (error) {
+        // The workspace was never initialized in this clone's .git/config
+    }
+
+    // Local workspaces use their own folder as URL; hosted ones may just have been renamed
+    const url = (await parentGit.raw(['config', '-f', '.gitmodules', `submodule.${newName}.url`])).trim();
+    const newUrl = remoteUrl || (path.resolve(notedRoot, url) === oldPath ? newPath : null);
+    if (newUrl) {
+        await parentGit.raw(['config', '-f', '.gitmodules', `submodule.${newName}.url`, newUrl]);
+        await parentGit.raw(['config', `submodule.${newName}.url`, newUrl]);
+        if (remoteUrl) {
+            await simpleGit(newPath).remote(['set-url', 'origin', remoteUrl]);
+        }
+    }
+    await parentGit.add('.gitmodules');
+
+    const notedConfig = readNotedConfig(notedRoot);
+    if (notedConfig.encrypted_workspaces) {
+        notedConfig.encrypted_workspaces = notedConfig.encrypted_workspaces.map(name => (name === oldName ? newName : name));
+    }
+    if (notedConfig.adopted_workspaces && notedConfig.adopted_workspaces[oldName]) {
+        notedConfig.adopted_workspaces[newName] = notedConfig.adopted_workspaces[oldName];
+        delete notedConfig.adopted_workspaces[oldName];
+    }
+    writeNotedConfig(notedRoot, notedConfig);
+
+    await commitChanges(notedRoot, `Rename workspace: ${oldName} -> ${newName}`);
+    await renameWorkspaceLinks(notedRoot, oldName, newName);
+
+    if (indexExists(notedRoot)) {
+        await refreshIndex(notedRoot);
+    }
+    return newPath;
+}
+
+// Take a workspace out of the working tree but keep its repository under .git/modules so it can come back intact
+export async function archiveWorkspace(notedRoot, workspaceName) {
+    const workspacePath = requireWorkspace(notedRoot, workspaceName);
+    const git = simpleGit(workspacePath);
+
+    if (!(await git.status()).isClean()) {
+        throw new Error(`Workspace '${workspaceName}' has uncommitted changes. Commit or sync them before archiving.`);
+    }
+
+    const branch = (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+    const commit = (await git.revparse(['HEAD'])).trim();
+    await absorbGitDir(notedRoot, workspaceName);
+
+    const notedConfig = readNotedConfig(notedRoot);
+    notedConfig.archived_workspaces = {
+        ...(notedConfig.archived_workspaces || {}),
+        [workspaceName]: { branch: branch === 'HEAD' ? null : branch, commit, archivedAt: new Date().toISOString() },
+    };
+    writeNotedConfig(notedRoot, notedConfig);
+
+    // Commit first so the parent also records the workspace's latest commit
+    await commitChanges(notedRoot, `Archive workspace: ${workspaceName}`);
+    await simpleGit(notedRoot).raw(['submodule', 'deinit', '--', workspaceName]);
+
+    if (indexExists(notedRoot)) {
+        await refreshIndex(notedRoot);
+    }
+}
+
+// Check an archived workspace out again on the branch it was on
+export async function unarchiveWorkspace(notedRoot, workspaceName) {
+    const notedConfig = readNotedConfig(notedRoot);
+    const archived = (notedConfig.archived_workspaces || {})[workspaceName];
+    if (!archived) {
+        throw new Error(`Workspace '${workspaceName}' is not archived.`);
+    }
+
+    const workspacePath = path.join(notedRoot, workspaceName);
+    await simpleGit(notedRoot).raw(['submodule', 'update', '--init', '--', workspaceName]);
+    if (archived.branch) {
+        await simpleGit(workspacePath).checkout(archived.branch);
+    }
+
+    delete notedConfig.archived_workspaces[workspaceName];
+    if (Object.keys(notedConfig.archived_workspaces).length === 0) {
+        delete notedConfig.archived_workspaces;
+    }
+    writeNotedConfig(notedRoot, notedConfig);
+    await commitChanges(notedRoot, `Unarchive workspace: ${workspaceName}`);
+
+    if (indexExists(notedRoot)) {
+        await refreshIndex(notedRoot);
+    }
+    return workspacePath;
+}
@@ -2,18 +2,97 @@
 import { Command } from 'commander';
 import fs from 'fs';
 import path from 'path';
+import chalk from 'chalk';
 import { fileURLToPath } from 'url';
+import { resolveTargetDir, getDefaultRoot } from './functions/registry.js';
+import { getNotedRepoRoot, disablePrompts } from './functions/getters.js';
+import * as output from './functions/output.js';
 
 // Get the current file path in ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Collect output from the start with --json, so even errors while loading commands end up in the JSON document
+if (process.argv.includes('--json')) {
+    output.enableJsonMode();
+}
+// Print the progress messages of the API operations (looked up on every call, since --json replaces console.log)
+output.setLogger(message => console.log(message));
+
 // Initialize Commander.js
 const program = new Command();
 program
     .name('noted')
     .description('A note-taking app with Git version control. Get Started now with "noted start"!')
-    .version('1.0.0');
+    .version('1.0.0')
+    .option('-w, --workspace <name>', 'Run the command inside this workspace of the current (or default) Noted root')
+    .option('-f, --folder <path>', 'Run the command inside this folder of the workspace')
+    .option('--json', 'Print a single JSON document with the result, messages and exit code instead of text')
+    .option('-y, --yes', 'Never prompt: use flags, environment variables and defaults, and confirm every action')
+    .option('--no-input', 'Never prompt: fail when a value is missing instead of asking for it')
+    .addHelpText('after', `
+Exit codes:
+    0  success
+    1  the command failed
+    2  unknown command or option, or a missing argument
+    3  not inside a Noted repository, and no default root registered
+    4  a git operation (commit, push, pull) failed
+    5  a check (noted doctor, noted links check) found problems
+`)
+    // Exit with the documented codes instead of letting Commander exit on its own
+    .exitOverride()
+    .configureOutput({
+        outputError: (message, write) => (output.isJsonMode() ? console.error(message.trim()) : write(message)),
+    });
+
+// Commands that do not run inside an existing Noted repository
+const ROOTLESS_COMMANDS = ['start', 'clone', 'root', 'hello', 'doctor'];
+
+// Move into the workspace or folder picked with -w/-f, or into the default root (see "noted root use")
+// when started outside any Noted repository, so every command can be run from anywhere
+program.hook('preAction', (thisCommand, actionCommand) => {
+    let topCommand = actionCommand;
+    const names = [actionCommand.name()];
+    while (topCommand.parent && topCommand.parent !== program) {
+        topCommand = topCommand.parent;
+        names.unshift(topCommand.name());
+    }
+    output.setCommandName(names.join(' '));
+
+    // Commands with their own --yes option (the delete commands) receive the global one too
+    const { yes, input } = program.opts();
+    if (yes || input === false) {
+        disablePrompts({ assumeYes: Boolean(yes) });
+    }
+    if (yes && actionCommand.options.some(option => option.attributeName() === 'yes')) {
+        actionCommand.setOptionValue('yes', true);
+    }
+    if (ROOTLESS_COMMANDS.includes(topCommand.name())) {
+        return;
+    }
+
+    // Commands with their own --workspace or --folder option (search, tasks, import, ...) receive the value instead
+    const globals = { ...program.opts() };
+    const handedOver = ['workspace', 'folder'].filter(key => globals[key] !== undefined
+        && actionCommand.options.some(option => option.attributeName() === key));
+    for (const key of handedOver) {
+        if (actionCommand.getOptionValue(key) === undefined) {
+            actionCommand.setOptionValue(key, globals[key]);
+        }
+    }
+    // A folder the command does not handle itself still needs its workspace to move into
+    if (globals.folder === undefined || handedOver.includes('folder')) {
+        handedOver.forEach(key => delete globals[key]);
+    }
+
+    try {
+        process.chdir(resolveTargetDir(process.cwd(), globals));
+    } catch (error) {
+        const hasRoot = getNotedRepoRoot(process.cwd()) || getDefaultRoot();
+        output.error(chalk.red('✖ Error: ') + error.message, hasRoot ? output.EXIT_CODES.ERROR : output.EXIT_CODES.NOT_IN_REPOSITORY);
+        process.exit();
+    }
+});
 
 // Dynamically load all command files from the "commands" directory
 const commandsDir = path.join(__dirname, 'commands');
@@ -32,7 +111,7 @@ const commandPromises = fs.readdirSync(commandsDir).map((file) => {
                 command(program);  // Register the command
             })
             .catch((error) => {
-                console.error(`Error loading command ${file}:`, error);
+                output.error(`Error loading command ${file}: ${error.stack || error}`);
             });
     }
 });
@@ -40,5 +119,15 @@ const commandPromises = fs.readdirSync(commandsDir).map((file) => {
 // Wait for all commands to be imported before parsing arguments
 Promise.all(commandPromises).then(() => {
     // console.log('Parsing command-line arguments...');
-    program.parse(process.argv);
+    try {
+        program.parse(process.argv);
+    } catch (error) {
+        // --help and --version are not failures; everything else Commander rejects is a usage error
+        if (['commander.helpDisplayed', 'commander.help', 'commander.version'].includes(error.code)) {
+            output.silence();
+            process.exit(error.exitCode);
+        }
+        output.fail(error.exitCode === 0 ? output.EXIT_CODES.OK : output.EXIT_CODES.USAGE);
+        process.exit();
+    }
 });
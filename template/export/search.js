@@ -0,0 +1,47 @@
+// Client-side search over the index written by "noted export html" or served by "noted serve"
+(function () {
+    var input = document.getElementById('search');
+    var results = document.getElementById('search-results');
+    var notes = window.NOTED_SEARCH || [];
+    var root = document.body.getAttribute('data-root') || '';
+
+    function render(matches) {
+        results.innerHTML = '';
+        matches.slice(0, 20).forEach(function (note) {
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+            link.href = root + note.url;
+            link.textContent = note.title;
+            var where = document.createElement('span');
+            where.className = 'path';
+            where.textContent = note.path;
+            item.appendChild(link);
+            item.appendChild(where);
+            results.appendChild(item);
+        });
+    }
+
+    input.addEventListener('input', function () {
+        var terms = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            results.innerHTML = '';
+            return;
+        }
+        var matches = notes.map(function (note) {
+            var title = note.title.toLowerCase();
+            var text = note.text.toLowerCase();
+            var score = 0;
+            for (var i = 0; i < terms.length; i++) {
+                var inTitle = title.indexOf(terms[i]) !== -1;
+                var inTags = note.tags.some(function (tag) { return tag.indexOf(terms[i]) !== -1; });
+                var inText = text.indexOf(terms[i]) !== -1;
+                if (!inTitle && !inTags && !inText) {
+                    return null;
+                }
+                score += (inTitle ? 5 : 0) + (inTags ? 3 : 0) + (inText ? 1 : 0);
+            }
+            return { note: note, score: score };
+        }).filter(Boolean).sort(function (a, b) { return b.score - a.score; });
+        render(matches.map(function (match) { return match.note; }));
+    });
+})();